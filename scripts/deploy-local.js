@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+// Compile contracts/HappyVoteLeaderboard.sol and deploy HappyVoteLeaderboardTopN to a local
+// dev chain (Anvil or `npx hardhat node`), then point the app's "Localhost" network at it
+// by writing REACT_APP_LOCAL_* into .env.development.local.
+//
+//   npm run deploy:local -- --top-n 10 --fund 5 --enable-refunds --max-refund 0.01
+//
+// Options:
+//   --rpc <url>            chain RPC (default http://127.0.0.1:8545)
+//   --top-n <n>            leaderboard size (default 10)
+//   --fund <ether>         deposit() this much into the refund pool
+//   --enable-refunds       setRefundEnabled(true)
+//   --max-refund <ether>   setMaxRefundPerVote (default 0.01 when refunds are enabled)
+//   --private-key <hex>    deployer key (default: DEPLOYER_PRIVATE_KEY, then Anvil/Hardhat account #0)
+//   --no-env               don't touch .env.development.local
+
+const fs = require("fs");
+const path = require("path");
+const solc = require("solc");
+const { createPublicClient, createWalletClient, http, parseEther, formatEther } = require("viem");
+const { privateKeyToAccount } = require("viem/accounts");
+
+const ROOT = path.resolve(__dirname, "..");
+const CONTRACT_FILE = "HappyVoteLeaderboard.sol";
+const CONTRACT_NAME = "HappyVoteLeaderboardTopN";
+const ENV_FILE = path.join(ROOT, ".env.development.local");
+const LOCAL_CHAIN_ID = 31337;
+// Well-known first dev account of Anvil and Hardhat; never holds real funds
+const DEV_ACCOUNT_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+const fail = (message) => {
+  console.error(`✖ ${message}`);
+  process.exit(1);
+};
+
+const parseArgs = (argv) => {
+  const options = {
+    rpc: "http://127.0.0.1:8545",
+    topN: 10,
+    fund: null,
+    enableRefunds: false,
+    maxRefund: null,
+    privateKey: process.env.DEPLOYER_PRIVATE_KEY || DEV_ACCOUNT_KEY,
+    writeEnv: true,
+  };
+  const takeValue = (index, flag) => {
+    const value = argv[index + 1];
+    if (value === undefined || value.startsWith("--")) fail(`${flag} needs a value`);
+    return value;
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    switch (flag) {
+      case "--rpc": options.rpc = takeValue(i++, flag); break;
+      case "--top-n": options.topN = Number(takeValue(i++, flag)); break;
+      case "--fund": options.fund = takeValue(i++, flag); break;
+      case "--enable-refunds": options.enableRefunds = true; break;
+      case "--max-refund": options.maxRefund = takeValue(i++, flag); break;
+      case "--private-key": options.privateKey = takeValue(i++, flag); break;
+      case "--no-env": options.writeEnv = false; break;
+      default: fail(`Unknown option ${flag}`);
+    }
+  }
+  if (!Number.isInteger(options.topN) || options.topN <= 0) fail("--top-n must be a positive integer");
+  if (!/^0x[0-9a-fA-F]{64}$/.test(options.privateKey)) fail("--private-key must be a 32-byte hex key");
+  try {
+    options.fundWei = options.fund != null ? parseEther(options.fund) : null;
+    options.maxRefundWei = options.maxRefund != null ? parseEther(options.maxRefund) : options.enableRefunds ? parseEther("0.01") : null;
+  } catch {
+    fail("--fund and --max-refund must be amounts in ether, e.g. 0.5");
+  }
+  return options;
+};
+
+const compile = () => {
+  const source = fs.readFileSync(path.join(ROOT, "contracts", CONTRACT_FILE), "utf8");
+  const output = JSON.parse(solc.compile(JSON.stringify({
+    language: "Solidity",
+    sources: { [CONTRACT_FILE]: { content: source } },
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      evmVersion: "paris",
+      outputSelection: { "*": { "*": ["abi", "evm.bytecode.object"] } },
+    },
+  })));
+  const errors = (output.errors || []).filter((item) => item.severity === "error");
+  if (errors.length > 0) fail(`Compilation failed:\n${errors.map((item) => item.formattedMessage).join("\n")}`);
+  const contract = output.contracts[CONTRACT_FILE][CONTRACT_NAME];
+  return { abi: contract.abi, bytecode: `0x${contract.evm.bytecode.object}` };
+};
+
+// Replace or append KEY=value lines, leaving the rest of the file alone
+const writeEnv = (values) => {
+  const lines = fs.existsSync(ENV_FILE) ? fs.readFileSync(ENV_FILE, "utf8").split("\n") : [];
+  Object.entries(values).forEach(([key, value]) => {
+    const index = lines.findIndex((line) => line.startsWith(`${key}=`));
+    if (index >= 0) {
+      lines[index] = `${key}=${value}`;
+    } else {
+      if (lines.length > 0 && lines[lines.length - 1] === "") lines.pop();
+      lines.push(`${key}=${value}`, "");
+    }
+  });
+  fs.writeFileSync(ENV_FILE, lines.join("\n"));
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const transport = http(options.rpc);
+  const publicClient = createPublicClient({ transport });
+
+  let chainId;
+  try {
+    chainId = await publicClient.getChainId();
+  } catch {
+    fail(`No chain at ${options.rpc}. Start one with \`anvil\` or \`npx hardhat node\` first.`);
+  }
+  if (chainId !== LOCAL_CHAIN_ID) {
+    fail(`${options.rpc} is chain ${chainId}, expected the local dev chain ${LOCAL_CHAIN_ID}`);
+  }
+
+  const account = privateKeyToAccount(options.privateKey);
+  const chain = {
+    id: chainId,
+    name: "Localhost",
+    nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+    rpcUrls: { default: { http: [options.rpc] } },
+  };
+  const walletClient = createWalletClient({ account, chain, transport });
+  const send = async (label, request) => {
+    const hash = await request();
+    const receipt = await publicClient.waitForTransactionReceipt({ hash });
+    if (receipt.status !== "success") fail(`${label} reverted (tx ${hash})`);
+    console.log(`✔ ${label}`);
+    return receipt;
+  };
+
+  console.log(`Compiling ${CONTRACT_FILE} with solc ${solc.version()}...`);
+  const { abi, bytecode } = compile();
+
+  console.log(`Deploying ${CONTRACT_NAME}(topN=${options.topN}) from ${account.address}...`);
+  const deployReceipt = await send("Deployed", () => walletClient.deployContract({ abi, bytecode, args: [BigInt(options.topN)] }));
+  const address = deployReceipt.contractAddress;
+  const write = (functionName, args = [], value) => () => walletClient.writeContract({ address, abi, functionName, args, value });
+
+  if (options.fundWei != null && options.fundWei > 0n) {
+    await send(`Deposited ${formatEther(options.fundWei)} ETH into the refund pool`, write("deposit", [], options.fundWei));
+  }
+  if (options.maxRefundWei != null) {
+    await send(`Max refund per vote set to ${formatEther(options.maxRefundWei)} ETH`, write("setMaxRefundPerVote", [options.maxRefundWei]));
+  }
+  if (options.enableRefunds) {
+    await send("Refunds enabled", write("setRefundEnabled", [true]));
+  }
+
+  console.log(`\n${CONTRACT_NAME} deployed at ${address} (block ${deployReceipt.blockNumber})`);
+  if (options.writeEnv) {
+    writeEnv({
+      REACT_APP_LOCAL_CONTRACT_ADDRESS: address,
+      REACT_APP_LOCAL_DEPLOY_BLOCK: deployReceipt.blockNumber.toString(),
+      REACT_APP_LOCAL_RPC_URL: options.rpc,
+    });
+    console.log(`Wrote ${path.relative(ROOT, ENV_FILE)}; restart \`npm start\` and pick "Localhost" in the network menu.`);
+  }
+};
+
+main().catch((err) => fail(err?.shortMessage || err?.message || String(err)));
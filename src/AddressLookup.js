@@ -0,0 +1,163 @@
+import React, { useRef, useState } from "react";
+import { ethers } from "ethers";
+import { getAddress } from "viem";
+import { normalize } from "viem/ens";
+import { mainnet } from "viem/chains";
+import { isValidAddress } from "./utils";
+import { readAddressStatus } from "./contractReads";
+
+const formatNative = (wei, nativeCurrency) => {
+  if (wei == null) return "—";
+  return `${ethers.formatUnits(wei, nativeCurrency.decimals)} ${nativeCurrency.symbol}`;
+};
+
+const lookupError = (message) => {
+  const err = new Error(message);
+  err.userMessage = message;
+  return err;
+};
+
+// ENS lives on Ethereum mainnet; the registry's chain objects carry no resolver, so it is passed in
+const resolveEnsName = async (ensClient, input) => {
+  let name;
+  try {
+    name = normalize(input);
+  } catch {
+    throw lookupError(`"${input}" is not a valid ENS name`);
+  }
+  let address;
+  try {
+    address = await ensClient.getEnsAddress({ name, universalResolverAddress: mainnet.contracts.ensUniversalResolver.address });
+  } catch (err) {
+    console.error(`ENS resolution failed for ${name}:`, err);
+    throw lookupError(`Could not resolve ${name} right now`);
+  }
+  if (!address) throw lookupError(`No address is set for ${name}`);
+  return { address, name };
+};
+
+// Read-only status of any address on the selected network: leaderboard position, cooldown,
+// last vote and refunds. Takes a 0x address or, when an Ethereum client is available, an ENS name.
+function AddressLookup({ networkConfig, client, ensClient, formatTime, onOpenCalendar, id }) {
+  const [input, setInput] = useState("");
+  const [state, setState] = useState({ status: 'idle', target: null, result: null, error: null });
+  // Only the latest lookup may update the panel
+  const lookupIdRef = useRef(0);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const value = input.trim();
+    if (!value) return;
+    if (!isValidAddress(value) && !value.includes('.')) {
+      setState({ status: 'error', target: null, result: null, error: "Enter a 0x address or an ENS name" });
+      return;
+    }
+    if (!isValidAddress(value) && !ensClient) {
+      setState({ status: 'error', target: null, result: null, error: "ENS names need the Ethereum network, which isn't available here. Enter a 0x address." });
+      return;
+    }
+
+    const lookupId = ++lookupIdRef.current;
+    setState({ status: 'loading', target: null, result: null, error: null });
+    try {
+      // Typed addresses are taken as-is, whatever their checksum casing
+      const target = isValidAddress(value)
+        ? { address: getAddress(value.toLowerCase()), name: null }
+        : await resolveEnsName(ensClient, value);
+      const result = await readAddressStatus({ client, config: networkConfig, address: target.address });
+      if (lookupId !== lookupIdRef.current) return;
+      setState({ status: 'ready', target, result, error: null });
+    } catch (err) {
+      if (lookupId !== lookupIdRef.current) return;
+      console.error(`Address lookup failed for ${value}:`, err);
+      setState({
+        status: 'error',
+        target: null,
+        result: null,
+        error: err.userMessage || "Could not read this address's status from the network",
+      });
+    }
+  };
+
+  if (!networkConfig || !client) return null;
+
+  const { target, result } = state;
+  const describePosition = () => {
+    if (result.leaderboardPosition == null) return "—";
+    if (result.leaderboardPosition > 0) return `#${result.leaderboardPosition}`;
+    return result.topN ? `Not in the top ${result.topN}` : "Not on the leaderboard";
+  };
+  const describeCanVote = () => {
+    if (result.canVote == null) return "—";
+    if (result.canVote) return "Yes";
+    return result.timeLeft != null ? `No, in ${formatTime(result.timeLeft)}` : "No";
+  };
+
+  return (
+    <details id={id} className="mood-timeline address-lookup">
+      <summary>Address lookup</summary>
+
+      <form className="admin-row my-moods-search" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          placeholder={ensClient ? "0x address or ENS name" : "0x address"}
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          spellCheck={false}
+        />
+        <button type="submit" className="admin-button" disabled={state.status === 'loading'}>
+          {state.status === 'loading' ? "Looking up..." : "Look up"}
+        </button>
+      </form>
+
+      {state.status === 'idle' && (
+        <p className="timeline-status">Check any wallet's voting status on {networkConfig.label} without connecting it.</p>
+      )}
+      {state.status === 'error' && <p className="timeline-status error">{state.error}</p>}
+
+      {state.status === 'ready' && (
+        <>
+          <p className="timeline-summary">
+            {target.name && <strong>{target.name} </strong>}
+            <span className="leaderboard-address">{target.address}</span> on {networkConfig.label}
+          </p>
+          <dl className="admin-stats">
+            <div>
+              <dt>Leaderboard</dt>
+              <dd>{describePosition()}</dd>
+            </div>
+            <div>
+              <dt>Happy votes</dt>
+              <dd>{result.happyVoteCount ?? "—"}</dd>
+            </div>
+            <div>
+              <dt>Can vote now</dt>
+              <dd>{describeCanVote()}</dd>
+            </div>
+            <div>
+              <dt>Last voted</dt>
+              <dd>{result.lastVotedAt ? new Date(result.lastVotedAt * 1000).toLocaleString() : result.lastVotedAt === 0 ? "Never" : "—"}</dd>
+            </div>
+            <div>
+              <dt>Refunds received</dt>
+              <dd>{formatNative(result.refunded, networkConfig.nativeCurrency)}</dd>
+            </div>
+            {result.owed != null && result.owed > 0n && (
+              <div>
+                <dt>Refund owed</dt>
+                <dd>{formatNative(result.owed, networkConfig.nativeCurrency)}</dd>
+              </div>
+            )}
+          </dl>
+          {onOpenCalendar && (
+            <button type="button" className="admin-button" onClick={() => onOpenCalendar(target.address)}>
+              Open mood calendar
+            </button>
+          )}
+        </>
+      )}
+    </details>
+  );
+}
+
+export default AddressLookup;
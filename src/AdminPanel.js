@@ -0,0 +1,284 @@
+import React, { useState } from "react";
+import { ethers } from "ethers";
+import { isValidAddress, hasAbiFunction } from "./utils";
+
+// Parse a user-entered native amount into wei, returns null on invalid input
+const parseAmount = (value, allowZero = false) => {
+  try {
+    const wei = ethers.parseEther(String(value).trim());
+    if (wei < 0n) return null;
+    return wei > 0n || allowZero ? wei : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const formatNative = (wei, symbol) => {
+  if (wei == null) return "—";
+  return `${ethers.formatEther(wei)} ${symbol}`;
+};
+
+// Ask for confirmation before irreversible owner actions
+const confirmAction = (text) => {
+  if (typeof window === 'undefined' || typeof window.confirm !== 'function') return true;
+  return window.confirm(text);
+};
+
+function AdminPanel({ networkConfig, adminState, busy, onAction, formatAddressShort }) {
+  const [maxRefundInput, setMaxRefundInput] = useState("");
+  const [withdrawAmount, setWithdrawAmount] = useState("");
+  const [withdrawTo, setWithdrawTo] = useState("");
+  const [removeAddress, setRemoveAddress] = useState("");
+  const [topNInput, setTopNInput] = useState("");
+  const [newOwner, setNewOwner] = useState("");
+  const [inputError, setInputError] = useState(null);
+
+  if (!networkConfig || !adminState) return null;
+
+  const { abi, label, nativeCurrency } = networkConfig;
+  const symbol = nativeCurrency?.symbol || "ETH";
+  const supports = (name) => hasAbiFunction(abi, name);
+
+  const submit = (functionName, args, successText, confirmText) => {
+    setInputError(null);
+    if (confirmText && !confirmAction(confirmText)) return;
+    onAction(functionName, args, successText);
+  };
+
+  const handleSetMaxRefund = () => {
+    const wei = parseAmount(maxRefundInput, true);
+    if (wei == null) {
+      setInputError(`Enter a ${symbol} amount for the refund cap (0 stops refunds)`);
+      return;
+    }
+    submit('setMaxRefundPerVote', [wei], "Max refund per vote updated");
+  };
+
+  const handleWithdraw = () => {
+    const wei = parseAmount(withdrawAmount);
+    if (wei == null) {
+      setInputError(`Enter a positive ${symbol} amount to withdraw`);
+      return;
+    }
+    if (adminState.balance != null && wei > adminState.balance) {
+      setInputError("Amount exceeds contract balance");
+      return;
+    }
+    if (!isValidAddress(withdrawTo)) {
+      setInputError("Enter a valid recipient address");
+      return;
+    }
+    submit(
+      'withdraw',
+      [wei, withdrawTo],
+      "Funds withdrawn",
+      `Withdraw ${ethers.formatEther(wei)} ${symbol} from the ${label} contract to ${withdrawTo}?`
+    );
+  };
+
+  const handleRemoveMember = () => {
+    if (!isValidAddress(removeAddress)) {
+      setInputError("Enter a valid leaderboard address");
+      return;
+    }
+    submit(
+      'removeMember',
+      [removeAddress],
+      "Leaderboard member removed",
+      `Remove ${removeAddress} from the ${label} leaderboard?`
+    );
+  };
+
+  const handleSetTopN = () => {
+    const value = Number(topNInput);
+    if (!Number.isInteger(value) || value <= 0 || value > 10000) {
+      setInputError("Top N must be a whole number between 1 and 10000");
+      return;
+    }
+    const shrinking = adminState.topN != null && value < adminState.topN;
+    submit(
+      'setTopN',
+      // eslint-disable-next-line no-undef
+      [BigInt(value)],
+      `Leaderboard size set to ${value}`,
+      shrinking ? `Shrink the leaderboard to ${value}? Entries below #${value} will be dropped.` : null
+    );
+  };
+
+  const handleTransferOwnership = () => {
+    if (!isValidAddress(newOwner)) {
+      setInputError("Enter a valid new owner address");
+      return;
+    }
+    submit(
+      'transferOwnership',
+      [newOwner],
+      "Ownership transferred",
+      `Transfer ownership of the ${label} contract to ${newOwner}? You will lose access to this console.`
+    );
+  };
+
+  return (
+    <div className="admin-panel" id="owner-console">
+      <div className="leaderboard-header">
+        <h3>Owner Console</h3>
+        <span>{label} · {formatAddressShort(networkConfig.contractAddress)}</span>
+      </div>
+
+      <dl className="admin-stats">
+        <div>
+          <dt>Status</dt>
+          <dd>{adminState.paused == null ? "—" : adminState.paused ? "Paused" : "Active"}</dd>
+        </div>
+        <div>
+          <dt>Top N</dt>
+          <dd>{adminState.topN ?? "—"}</dd>
+        </div>
+        <div>
+          <dt>Gas refund</dt>
+          <dd>{adminState.refundEnabled == null ? "—" : adminState.refundEnabled ? "Enabled" : "Disabled"}</dd>
+        </div>
+        <div>
+          <dt>Max refund / vote</dt>
+          <dd>{formatNative(adminState.maxRefundPerVoteWei, symbol)}</dd>
+        </div>
+        <div>
+          <dt>Total refunded</dt>
+          <dd>{formatNative(adminState.totalRefunded, symbol)}</dd>
+        </div>
+        <div>
+          <dt>Contract balance</dt>
+          <dd>{formatNative(adminState.balance, symbol)}</dd>
+        </div>
+      </dl>
+
+      {inputError && <p className="admin-error">{inputError}</p>}
+
+      <div className="admin-actions">
+        {supports('pause') && supports('unpause') && adminState.paused != null && (
+          <div className="admin-row">
+            {adminState.paused ? (
+              <button className="admin-button" disabled={busy} onClick={() => submit('unpause', [], "Voting resumed")}>
+                Unpause voting
+              </button>
+            ) : (
+              <button
+                className="admin-button danger"
+                disabled={busy}
+                onClick={() => submit('pause', [], "Voting paused", `Pause voting on ${label}?`)}
+              >
+                Pause voting
+              </button>
+            )}
+          </div>
+        )}
+
+        {supports('setRefundEnabled') && adminState.refundEnabled != null && (
+          <div className="admin-row">
+            <button
+              className="admin-button"
+              disabled={busy}
+              onClick={() => submit(
+                'setRefundEnabled',
+                [!adminState.refundEnabled],
+                adminState.refundEnabled ? "Gas refund disabled" : "Gas refund enabled"
+              )}
+            >
+              {adminState.refundEnabled ? "Disable gas refund" : "Enable gas refund"}
+            </button>
+          </div>
+        )}
+
+        {supports('setMaxRefundPerVote') && (
+          <div className="admin-row">
+            <input
+              type="text"
+              inputMode="decimal"
+              placeholder={`Max refund per vote (${symbol})`}
+              value={maxRefundInput}
+              onChange={(e) => setMaxRefundInput(e.target.value)}
+            />
+            <button className="admin-button" disabled={busy} onClick={handleSetMaxRefund}>Set cap</button>
+          </div>
+        )}
+
+        {supports('withdraw') && (
+          <div className="admin-row">
+            <input
+              type="text"
+              inputMode="decimal"
+              placeholder={`Amount (${symbol})`}
+              value={withdrawAmount}
+              onChange={(e) => setWithdrawAmount(e.target.value)}
+            />
+            <input
+              type="text"
+              placeholder="Recipient 0x..."
+              value={withdrawTo}
+              onChange={(e) => setWithdrawTo(e.target.value.trim())}
+            />
+            <button className="admin-button danger" disabled={busy} onClick={handleWithdraw}>Withdraw</button>
+          </div>
+        )}
+
+        {supports('setTopN') && (
+          <div className="admin-row">
+            <input
+              type="number"
+              min="1"
+              placeholder="Leaderboard size"
+              value={topNInput}
+              onChange={(e) => setTopNInput(e.target.value)}
+            />
+            <button className="admin-button" disabled={busy} onClick={handleSetTopN}>Set top N</button>
+          </div>
+        )}
+
+        {supports('removeMember') && (
+          <div className="admin-row">
+            <input
+              type="text"
+              placeholder="Leaderboard address 0x..."
+              value={removeAddress}
+              onChange={(e) => setRemoveAddress(e.target.value.trim())}
+            />
+            <button className="admin-button danger" disabled={busy} onClick={handleRemoveMember}>Remove</button>
+          </div>
+        )}
+
+        {supports('clearLeaderboard') && (
+          <div className="admin-row">
+            <button
+              className="admin-button danger"
+              disabled={busy}
+              onClick={() => submit(
+                'clearLeaderboard',
+                [],
+                "Leaderboard cleared",
+                `Clear the entire ${label} leaderboard? This cannot be undone.`
+              )}
+            >
+              Clear leaderboard
+            </button>
+          </div>
+        )}
+
+        {supports('transferOwnership') && (
+          <div className="admin-row">
+            <input
+              type="text"
+              placeholder="New owner 0x..."
+              value={newOwner}
+              onChange={(e) => setNewOwner(e.target.value.trim())}
+            />
+            <button className="admin-button danger" disabled={busy} onClick={handleTransferOwnership}>Transfer</button>
+          </div>
+        )}
+      </div>
+
+      {busy && <p className="admin-hint">Waiting for transaction confirmation...</p>}
+    </div>
+  );
+}
+
+export default AdminPanel;
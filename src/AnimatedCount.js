@@ -0,0 +1,53 @@
+import React, { useEffect, useRef, useState } from "react";
+
+const ANIMATION_MS = 600;
+
+// Counts up (or down) to a new value and briefly highlights the change
+function AnimatedCount({ value, className = "" }) {
+  const [displayValue, setDisplayValue] = useState(value);
+  const [bumped, setBumped] = useState(false);
+  const displayRef = useRef(value);
+
+  useEffect(() => {
+    const from = displayRef.current;
+    const to = value;
+    if (from === to) return undefined;
+
+    // Large jumps (network switch, initial load) are shown immediately
+    if (Math.abs(to - from) > 50 || typeof window === 'undefined' || !window.requestAnimationFrame) {
+      displayRef.current = to;
+      setDisplayValue(to);
+      return undefined;
+    }
+
+    let frameId = null;
+    const start = performance.now();
+    setBumped(to > from);
+
+    const step = (now) => {
+      const progress = Math.min((now - start) / ANIMATION_MS, 1);
+      const next = Math.round(from + (to - from) * progress);
+      displayRef.current = next;
+      setDisplayValue(next);
+      if (progress < 1) {
+        frameId = requestAnimationFrame(step);
+      }
+    };
+    frameId = requestAnimationFrame(step);
+
+    const bumpTimeout = setTimeout(() => setBumped(false), ANIMATION_MS + 400);
+
+    return () => {
+      if (frameId) cancelAnimationFrame(frameId);
+      clearTimeout(bumpTimeout);
+    };
+  }, [value]);
+
+  return (
+    <span className={`animated-count ${bumped ? 'count-bump' : ''} ${className}`.trim()}>
+      {displayValue}
+    </span>
+  );
+}
+
+export default AnimatedCount;
@@ -1,16 +1,52 @@
 import React, { useState, useEffect, useCallback, useMemo, useRef } from "react";
 import { ethers } from "ethers";
-import { createPublicClient, http } from "viem";
-import testnetAbi from "./abi.json";
-import mainnetAbi from "./abiMainnet.json";
+import { createPublicClient, custom } from "viem";
 import "./App.css";
 import { openConnectModal, openNetworkModal } from "./walletProvider";
+import { ZERO_ADDRESS, isValidAddress, safeNumber, sanitizeString, isValidAbi, hasAbiFunction } from "./utils";
+import { watchContractLogs } from "./contractEvents";
+import { readVoteState, batchReadContract } from "./contractReads";
+import { NETWORK_LIST, NETWORKS, NETWORK_CHAIN_CONFIG, DEFAULT_NETWORK_KEY, getNetworkByChainId, isValidRpcUrl } from "./networks";
+import { createTransactionService, isTransactionTimeout } from "./transactionService";
+import { getTransactionErrorMessage, getRevertMessage } from "./contractErrors";
+import AdminPanel from "./AdminPanel";
+import AnimatedCount from "./AnimatedCount";
+import MoodTimeline from "./MoodTimeline";
+import WorldMood from "./WorldMood";
+import MyMoods from "./MyMoods";
+import AddressLookup from "./AddressLookup";
+import FullLeaderboard from "./FullLeaderboard";
+import HistoryLeaderboard from "./HistoryLeaderboard";
+import VoteStreak from "./VoteStreak";
+import { useRoute, buildPath } from "./router";
+import { hasVotedEvent } from "./voteHistory";
+import RefundPanel from "./RefundPanel";
+import RefundPoolPanel from "./RefundPoolPanel";
+import RpcStatus from "./RpcStatus";
+import { createRpcPool } from "./rpcPool";
+import RpcSettings from "./RpcSettings";
+import ConfigNotice from "./ConfigNotice";
+import { getConfigErrors } from "./runtimeConfig";
+import { loadCustomRpcUrls, saveCustomRpcUrls, isAcceptableCustomRpcUrl } from "./customRpc";
+import { isDemoMode, getDemoChain, getDemoWallet, fastForwardDemoTime } from "./demoChain";
+import DemoControls from "./DemoControls";
+import DemoModeSettings from "./DemoModeSettings";
 import { useAccount, useDisconnect, useChainId, useSwitchChain, useWalletClient } from 'wagmi';
 
-const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+// ENS names are resolved on Ethereum mainnet, when this deployment has it enabled
+const ENS_NETWORK = getNetworkByChainId(1);
+
+// Leaderboard tabs: 'happy' is the contract's own board, the others are ranked from Voted history
+const LEADERBOARD_TABS = [
+  { key: 'happy', label: '😊 Happy' },
+  { key: 'total', label: 'Total votes' },
+  { key: 'sad', label: '😢 Sad' },
+  { key: 'streak', label: '🔥 Streak' },
+];
 
 // Helper function to detect wallet type
 const detectWalletType = () => {
+  if (isDemoMode()) return 'demo';
   if (typeof window === 'undefined' || !window.ethereum) return null;
 
   // Check for Rabby Wallet
@@ -37,195 +73,65 @@ const detectWalletType = () => {
   return 'metamask';
 };
 
-// Helper function to validate Ethereum address
-const isValidAddress = (address) => {
-  if (!address || typeof address !== 'string') return false;
-  return /^0x[a-fA-F0-9]{40}$/.test(address);
-};
+// EIP-1193 provider behind the MetaMask/Rabby code paths: the in-memory demo wallet in demo
+// mode, otherwise window.ethereum (the matching one when several wallets are installed)
+const getInjectedProvider = () => {
+  if (isDemoMode()) return getDemoWallet(NETWORK_LIST);
+  if (typeof window === 'undefined' || !window.ethereum) return null;
 
-// Safe number conversion with overflow protection
-const safeNumber = (value) => {
-  try {
-    if (typeof value === 'bigint') {
-      // Check for safe integer range
-      // eslint-disable-next-line no-undef
-      if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
-        console.warn("Value exceeds safe integer range:", value);
-        return Number.MAX_SAFE_INTEGER;
-      }
-      // eslint-disable-next-line no-undef
-      if (value < BigInt(Number.MIN_SAFE_INTEGER)) {
-        console.warn("Value below safe integer range:", value);
-        return Number.MIN_SAFE_INTEGER;
-      }
-      return Number(value);
-    }
-    const num = Number(value);
-    if (!isFinite(num) || isNaN(num)) {
-      return 0;
+  const detectedType = detectWalletType();
+  if (window.ethereum.providers) {
+    if (detectedType === 'rabby') {
+      return window.ethereum.providers.find(p => p.isRabby) || window.ethereum;
+    } else if (detectedType === 'metamask') {
+      return window.ethereum.providers.find(p => p.isMetaMask) || window.ethereum;
     }
-    return Math.max(Number.MIN_SAFE_INTEGER, Math.min(num, Number.MAX_SAFE_INTEGER));
-  } catch (err) {
-    console.error("Error converting number:", err);
-    return 0;
   }
+  return window.ethereum;
 };
 
-// Get donation address from environment variable with validation
-const getDonationAddress = () => {
-  const address = process.env.REACT_APP_DONATION_ADDRESS;
-  if (!address) {
-    console.warn("REACT_APP_DONATION_ADDRESS not set, donation feature disabled");
-    return null;
+// Parse a native-currency amount entered for a transfer and bound it per network
+const parseNativeAmount = (amount, config) => {
+  const value = ethers.parseEther(String(amount).trim());
+  // Additional safety check: ensure value is reasonable
+  const maxAmount = ethers.parseEther(config.maxTransfer);
+  if (value <= 0n || value > maxAmount) {
+    throw new Error("Invalid amount");
   }
-  if (!isValidAddress(address)) {
-    console.error("Invalid donation address format:", address);
-    return null;
-  }
-  return address;
+  return value;
 };
 
-// Whitelist of allowed RPC endpoints to prevent RPC endpoint substitution attacks
-const ALLOWED_RPC_DOMAINS = [
-  'rpc1.monad.xyz',
-  'rpc.monad.xyz',
-  'testnet-rpc.monad.xyz',
-  'ethereum-sepolia-rpc.publicnode.com',
-  'eth.llamarpc.com',
-  'base-rpc.publicnode.com',
-];
-
-// Validate RPC URL to prevent endpoint substitution attacks
-const isValidRpcUrl = (url) => {
-  if (!url || typeof url !== 'string') return false;
+// Expected gas refund for a vote, mirroring the contract's _processRefund:
+// min(gas used * gas price, maxRefundPerVoteWei, pool balance). Returns text for the pre-flight message.
+const describeVoteRefund = async ({ client, config, estimatedGas }) => {
+  if (!hasAbiFunction(config.abi, 'refundEnabled') || !hasAbiFunction(config.abi, 'maxRefundPerVoteWei')) return "";
   try {
-    const urlObj = new URL(url);
-    // Only allow HTTPS
-    if (urlObj.protocol !== 'https:') return false;
-    // Check if domain is in whitelist
-    return ALLOWED_RPC_DOMAINS.some(domain => urlObj.hostname === domain || urlObj.hostname.endsWith('.' + domain));
+    const [results, balance, gasPrice] = await Promise.all([
+      batchReadContract({
+        client,
+        config,
+        calls: [{ functionName: 'refundEnabled' }, { functionName: 'maxRefundPerVoteWei' }],
+      }),
+      client.getBalance({ address: config.contractAddress }),
+      client.getGasPrice(),
+    ]);
+    if (results.some((result) => result.status !== 'success')) return "";
+    const [enabled, maxRefund] = results.map((result) => result.result);
+
+    if (!enabled) return " (gas refunds are currently off)";
+    if (balance === 0n) return " (the refund pool is empty, so no gas refund)";
+    let refund = estimatedGas * gasPrice;
+    if (refund > maxRefund) refund = maxRefund;
+    if (refund > balance) refund = balance;
+    if (refund === 0n) return " (no gas refund at the current cap)";
+    const { decimals, symbol } = config.nativeCurrency;
+    return ` and refund about ${Number(ethers.formatUnits(refund, decimals)).toPrecision(3)} ${symbol} of gas`;
   } catch (err) {
-    console.error("Invalid RPC URL format:", url, err);
-    return false;
+    console.warn(`Could not estimate vote refund on ${config.key}:`, err);
+    return "";
   }
 };
 
-// Sanitize string to prevent XSS attacks
-const sanitizeString = (str) => {
-  if (str == null) return '';
-  const stringValue = String(str);
-  // Remove potentially dangerous characters and HTML tags
-  return stringValue
-    .replace(/[<>]/g, '') // Remove < and >
-    .replace(/javascript:/gi, '') // Remove javascript: protocol
-    .replace(/on\w+=/gi, '') // Remove event handlers
-    .trim()
-    .substring(0, 1000); // Limit length to prevent DoS
-};
-
-// Validate ABI structure to prevent malicious ABI injection
-const isValidAbi = (abi) => {
-  if (!abi || !Array.isArray(abi)) return false;
-  // Check that ABI is an array of objects with expected structure
-  return abi.every(item => {
-    if (typeof item !== 'object' || item === null) return false;
-    // Basic structure validation
-    return typeof item.type === 'string' &&
-           (item.type === 'function' || item.type === 'event' || item.type === 'constructor' || item.type === 'fallback' || item.type === 'receive');
-  });
-};
-
-const NETWORK_LIST = [
-  {
-    key: 'mainnet',
-    label: 'Monad',
-    chainId: 143,
-    chainHex: "0x8f",
-    rpcUrls: ["https://rpc1.monad.xyz"],
-    explorerUrl: "https://monadvision.com",
-    explorerName: "Monad Explorer",
-    nativeCurrency: { name: "Monad", symbol: "MON", decimals: 18 },
-    contractAddress: process.env.REACT_APP_MAINNET_CONTRACT_ADDRESS || "0xdFFEFD8eF040702A4657a98f189860169104257A",
-    abi: mainnetAbi,
-    hasLeaderboard: true,
-  },
-  {
-    key: 'ethMainnet',
-    label: 'Ethereum',
-    chainId: 1,
-    chainHex: "0x1",
-    rpcUrls: ["https://eth.llamarpc.com"],
-    explorerUrl: "https://etherscan.io",
-    explorerName: "Ethereum",
-    nativeCurrency: { name: "Ethereum", symbol: "ETH", decimals: 18 },
-    contractAddress: process.env.REACT_APP_ETH_MAINNET_CONTRACT_ADDRESS || ZERO_ADDRESS,
-    abi: mainnetAbi,
-    hasLeaderboard: true,
-  },
-  {
-    key: 'baseMainnet',
-    label: 'Base',
-    chainId: 8453,
-    chainHex: "0x2105",
-    rpcUrls: ["https://base-rpc.publicnode.com"],
-    explorerUrl: "https://basescan.org",
-    explorerName: "Base",
-    nativeCurrency: { name: "Base", symbol: "ETH", decimals: 18 },
-    contractAddress: process.env.REACT_APP_BASE_MAINNET_CONTRACT_ADDRESS || ZERO_ADDRESS,
-    abi: mainnetAbi,
-    hasLeaderboard: true,
-  },
-  {
-    key: 'testnet',
-    label: 'Monad Testnet',
-    chainId: 10143,
-    chainHex: "0x279f",
-    rpcUrls: ["https://testnet-rpc.monad.xyz"],
-    explorerUrl: "https://testnet.monadvision.com",
-    explorerName: "Monad Explorer",
-    nativeCurrency: { name: "Monad", symbol: "MON", decimals: 18 },
-    contractAddress: process.env.REACT_APP_TESTNET_CONTRACT_ADDRESS || "0x40198e59306181e69affa25c69c5ba50f8f4cd0e",
-    abi: testnetAbi,
-    hasLeaderboard: false,
-  },
-  {
-    key: 'sepolia',
-    label: 'Sepolia',
-    chainId: 11155111,
-    chainHex: "0xaa36a7",
-    rpcUrls: ["https://ethereum-sepolia-rpc.publicnode.com"],
-    explorerUrl: "https://sepolia.etherscan.io",
-    explorerName: "Sepolia Ethereum",
-    nativeCurrency: { name: "Sepolia", symbol: "ETH", decimals: 18 },
-    contractAddress: process.env.REACT_APP_SEPOLIA_CONTRACT_ADDRESS || ZERO_ADDRESS,
-    abi: mainnetAbi,
-    hasLeaderboard: true,
-  },
-];
-
-const NETWORKS = NETWORK_LIST.reduce((acc, network) => {
-  acc[network.key] = network;
-  return acc;
-}, {});
-const NETWORK_CHAIN_CONFIG = NETWORK_LIST.reduce((acc, network) => {
-  const isEthNetwork = network.key === 'sepolia' || network.key === 'ethMainnet' || network.key === 'baseMainnet';
-  acc[network.key] = {
-    id: network.chainId,
-    name: isEthNetwork ? network.label : `${network.label}`,
-    network: isEthNetwork ? `eth-${network.key}` : `monad-${network.key}`,
-    nativeCurrency: network.nativeCurrency,
-    rpcUrls: {
-      default: { http: network.rpcUrls },
-      public: { http: network.rpcUrls },
-    },
-    blockExplorers: {
-      default: { name: network.explorerName, url: network.explorerUrl },
-    },
-    testnet: network.key === 'sepolia' || network.key === 'testnet',
-  };
-  return acc;
-}, {});
-
 function App() {
   // Wagmi hooks
   const { address, isConnected } = useAccount();
@@ -235,22 +141,33 @@ function App() {
   const { data: walletClient } = useWalletClient();
 
   const [provider, setProvider] = useState(null);
-  const [contract, setContract] = useState(null);
   const [account, setAccount] = useState(null);
   const [networkCorrect, setNetworkCorrect] = useState(null);
   const [walletChainId, setWalletChainId] = useState(null);
   const [happyVotes, setHappyVotes] = useState(0);
   const [sadVotes, setSadVotes] = useState(0);
   const [canVote, setCanVote] = useState(false);
+  const [sentVotes, setSentVotes] = useState(0); // this tab's confirmed votes; refreshes the streak
   const [timeLeft, setTimeLeft] = useState(null);
   const [leaderboard, setLeaderboard] = useState([]);
+  // Connected account's leaderboard slot from readVoteState (tagged with its network and account)
+  const [userPosition, setUserPosition] = useState(null);
+  const [leaderboardView, setLeaderboardView] = useState('onchain'); // 'onchain' | 'full' (rebuilt from Voted logs)
+  const [leaderboardTab, setLeaderboardTab] = useState('happy'); // one of LEADERBOARD_TABS
   const [refundEnabled, setRefundEnabled] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
+  const [liveMode, setLiveMode] = useState(null); // 'filter' | 'polling' while live events are flowing
+  const [adminState, setAdminState] = useState(null);
+  const [refundStats, setRefundStats] = useState(null);
   const [tooltipVisible, setTooltipVisible] = useState(false);
   const [loading, setLoading] = useState({
     wallet: false,
     network: false,
     voting: false,
     donation: false,
+    admin: false,
+    refund: false,
+    deposit: false,
   });
   const [message, setMessage] = useState(null);
   const [isDarkTheme, setIsDarkTheme] = useState(false);
@@ -258,8 +175,11 @@ function App() {
   const [isDisconnecting, setIsDisconnecting] = useState(false);
   const [isSwitchingNetwork, setIsSwitchingNetwork] = useState(false);
   const [isNetworkDropdownOpen, setIsNetworkDropdownOpen] = useState(false);
+  const [route, navigate] = useRoute();
   const [selectedNetwork, setSelectedNetwork] = useState(() => {
-    if (typeof window === "undefined") return 'mainnet';
+    if (typeof window === "undefined") return DEFAULT_NETWORK_KEY;
+    // A network in the URL (/:network/...) wins over the remembered choice
+    if (NETWORKS[route.network]) return route.network;
     try {
       const stored = localStorage.getItem('happy-vote-network');
       // Validate stored network value to prevent XSS/injection
@@ -269,10 +189,13 @@ function App() {
     } catch (err) {
       console.warn("Error reading network from localStorage:", err);
     }
-    return 'mainnet';
+    return DEFAULT_NETWORK_KEY;
   });
 
   const publicClientCacheRef = useRef({});
+  const rpcPoolCacheRef = useRef({});
+  // User-added endpoints from the RPC settings panel, tried ahead of the whitelisted defaults
+  const [customRpcUrls, setCustomRpcUrls] = useState(() => loadCustomRpcUrls(Object.keys(NETWORKS)));
   const prevAccountRef = useRef(null);
   const pendingNetworkRef = useRef(null);
 
@@ -283,56 +206,102 @@ function App() {
       return null;
     }
 
-    // Validate RPC URL to prevent endpoint substitution attacks
-    const rpcUrl = config.rpcUrls[0];
-    if (!isValidRpcUrl(rpcUrl)) {
-      console.error(`Invalid or unauthorized RPC URL for network ${networkKey}:`, rpcUrl);
-      return null;
+    // Demo mode reads from the in-memory chain; it mines instantly, so poll it often
+    if (isDemoMode()) {
+      if (!publicClientCacheRef.current[networkKey]) {
+        publicClientCacheRef.current[networkKey] = createPublicClient({
+          chain: NETWORK_CHAIN_CONFIG[networkKey],
+          transport: custom(getDemoChain(config)),
+          pollingInterval: 500,
+        });
+      }
+      return publicClientCacheRef.current[networkKey];
     }
 
     if (!publicClientCacheRef.current[networkKey]) {
+      // Validate RPC URLs to prevent endpoint substitution attacks; unlisted ones are dropped
+      const rpcUrls = config.rpcUrls.filter((url) => {
+        if (isValidRpcUrl(url)) return true;
+        console.error(`Invalid or unauthorized RPC URL for network ${networkKey}:`, url);
+        return false;
+      });
+      // A custom endpoint skips the whitelist; it was checked against chainId and the contract when added
+      const customUrl = isAcceptableCustomRpcUrl(customRpcUrls[networkKey]) ? customRpcUrls[networkKey] : null;
+      if (rpcUrls.length === 0 && !customUrl) {
+        console.error(`No valid RPC URLs for network ${networkKey}`);
+        return null;
+      }
+
       const chainConfig = NETWORK_CHAIN_CONFIG[networkKey];
-      // Validate chain config RPC URLs as well
-      if (chainConfig?.rpcUrls?.default?.http) {
-        const validatedUrls = chainConfig.rpcUrls.default.http.filter(url => isValidRpcUrl(url));
-        if (validatedUrls.length === 0) {
-          console.error(`No valid RPC URLs for network ${networkKey}`);
-          return null;
-        }
-        chainConfig.rpcUrls.default.http = validatedUrls;
-        chainConfig.rpcUrls.public.http = validatedUrls;
+
+      if (customUrl) {
+        console.warn(`Using custom RPC for ${networkKey} (not in the built-in whitelist):`, customUrl);
       }
+      const poolUrls = customUrl ? [customUrl, ...rpcUrls.filter((url) => url !== customUrl)] : rpcUrls;
 
+      // Fails over between the network's endpoints and ranks them by latency
+      const pool = createRpcPool({ chain: chainConfig, urls: poolUrls, customUrls: customUrl ? [customUrl] : [] });
+      rpcPoolCacheRef.current[networkKey] = pool;
       publicClientCacheRef.current[networkKey] = createPublicClient({
         chain: chainConfig,
-        transport: http(rpcUrl),
+        transport: pool.transport,
       });
     }
     return publicClientCacheRef.current[networkKey];
+  }, [customRpcUrls]);
+
+  // Save or clear (url = null) a custom RPC endpoint; cached clients for that network are rebuilt
+  const updateCustomRpcUrl = useCallback((networkKey, url) => {
+    delete publicClientCacheRef.current[networkKey];
+    delete rpcPoolCacheRef.current[networkKey];
+    setCustomRpcUrls((prev) => {
+      const next = { ...prev };
+      if (url) {
+        next[networkKey] = url;
+      } else {
+        delete next[networkKey];
+      }
+      saveCustomRpcUrls(next);
+      return next;
+    });
   }, []);
 
-  const mainnetAddressMissing = NETWORKS.mainnet.contractAddress === ZERO_ADDRESS;
+  // Push a readVoteState() result into component state
+  const applyVoteState = useCallback((state, { keepLeaderboard = false } = {}) => {
+    setHappyVotes(state.happyVotes);
+    setSadVotes(state.sadVotes);
+    setRefundEnabled(state.refundEnabled);
+    setIsPaused(state.paused);
+    // canVote is only null for reads made without an account, which leave the position alone
+    if (state.canVote !== null) {
+      setCanVote(state.canVote);
+      setTimeLeft(state.timeLeft);
+      setUserPosition(state.userPosition);
+    }
+    if (state.leaderboard) {
+      setLeaderboard(state.leaderboard);
+    } else if (!keepLeaderboard) {
+      setLeaderboard([]);
+    }
+  }, []);
+
+  // Every write (vote, donate, refunds, owner actions) goes through this, whatever the connector
+  const transactionService = useMemo(() => createTransactionService({
+    walletType,
+    walletClient,
+    provider,
+    account,
+    getClient: getNetworkClient,
+  }), [walletType, walletClient, provider, account, getNetworkClient]);
+
   const networkOptions = NETWORK_LIST;
+  // Problems found in config.json / .env while the registry was built (fixed for this session)
+  const configErrors = useMemo(() => getConfigErrors(), []);
 
   // Получение суммы доната и валюты в зависимости от сети
   const getDonationInfo = useCallback((networkKey) => {
-    const config = NETWORKS[networkKey];
-    if (!config) return { amount: "10", currency: "MON" };
-
-    switch (networkKey) {
-      case 'mainnet':
-        return { amount: "50", currency: "MON" };
-      case 'testnet':
-        return { amount: "1", currency: "MON" };
-      case 'ethMainnet':
-        return { amount: "0.0005", currency: "ETH" };
-      case 'baseMainnet':
-        return { amount: "0.0005", currency: "ETH" };
-      case 'sepolia':
-        return { amount: "1", currency: "ETH" };
-      default:
-        return { amount: "10", currency: "MON" };
-    }
+    const config = NETWORKS[networkKey] || NETWORKS[DEFAULT_NETWORK_KEY];
+    return { amount: config.donationAmount, currency: config.nativeCurrency.symbol };
   }, []);
 
   const activeNetworkKey = useMemo(() => {
@@ -360,14 +329,34 @@ function App() {
     return selectedNetwork;
   }, [walletType, activeNetworkKey, walletChainId, selectedNetwork]);
 
-  const selectedNetworkConfig = NETWORKS[selectedNetwork] || NETWORKS.mainnet;
+  const selectedNetworkConfig = NETWORKS[selectedNetwork] || NETWORKS[DEFAULT_NETWORK_KEY];
   const displayNetworkConfig = NETWORKS[displayNetworkKey] || selectedNetworkConfig;
   const isWalletConnectLocked = walletType === 'walletconnect' && isConnected;
+  // Network that write transactions are sent to (WalletConnect follows the wallet's chain)
+  const transactionNetworkKey = walletType === 'walletconnect' ? activeNetworkKey : selectedNetwork;
+  // Network whose contract state is shown and watched
+  const statsNetworkConfig = NETWORKS[transactionNetworkKey || selectedNetwork] || null;
+  // RPC pool behind the stats reads, for the endpoint indicator. Picked up in an effect, since
+  // getNetworkClient creates and caches the client and pool on first use
+  const [selectedRpcPool, setSelectedRpcPool] = useState(null);
+  useEffect(() => {
+    if (!statsNetworkConfig || !getNetworkClient(statsNetworkConfig.key)) {
+      setSelectedRpcPool(null);
+      return;
+    }
+    setSelectedRpcPool(rpcPoolCacheRef.current[statsNetworkConfig.key] || null);
+  }, [statsNetworkConfig, getNetworkClient]);
+
+  // A leaderboard position belongs to one account on one network; drop it when either changes
+  const statsNetworkKey = statsNetworkConfig?.key || null;
+  useEffect(() => {
+    setUserPosition(null);
+  }, [account, statsNetworkKey]);
 
   // Получение суммы доната и валюты в зависимости от текущей сети
   const donationInfo = useMemo(() => {
     const networkKey = walletType === 'walletconnect' ? activeNetworkKey : selectedNetwork;
-    return getDonationInfo(networkKey || 'mainnet');
+    return getDonationInfo(networkKey || DEFAULT_NETWORK_KEY);
   }, [walletType, activeNetworkKey, selectedNetwork, getDonationInfo]);
   // Синхронизируем chainId для WalletConnect
   useEffect(() => {
@@ -440,22 +429,12 @@ function App() {
   const checkNetwork = useCallback(
       async (providerToCheck, targetNetworkKey = selectedNetwork) => {
         try {
-          // First, try to get chainId directly from window.ethereum if available
+          // First, try to get chainId directly from the injected wallet if available
           // This is more reliable than waiting for provider to update
           // Check for MetaMask/Rabby wallets (not WalletConnect)
-          if (window.ethereum && (walletType === null || walletType === 'metamask' || walletType === 'rabby')) {
+          const ethereumProvider = getInjectedProvider();
+          if (ethereumProvider && walletType !== 'walletconnect') {
             try {
-              const detectedType = detectWalletType();
-              let ethereumProvider = window.ethereum;
-              
-              if (window.ethereum.providers) {
-                if (detectedType === 'rabby') {
-                  ethereumProvider = window.ethereum.providers.find(p => p.isRabby) || window.ethereum;
-                } else if (detectedType === 'metamask') {
-                  ethereumProvider = window.ethereum.providers.find(p => p.isMetaMask) || window.ethereum;
-                }
-              }
-              
               const chainIdHex = await ethereumProvider.request({ method: 'eth_chainId' });
               const chainIdFromWallet = parseInt(chainIdHex, 16);
               
@@ -476,20 +455,9 @@ function App() {
           
           // Fallback to provider-based check
           if (!providerToCheck) {
-            // If no provider but we have window.ethereum, try one more time
-            if (window.ethereum && (walletType === null || walletType === 'metamask' || walletType === 'rabby')) {
+            // If no provider but we have an injected wallet, try one more time
+            if (ethereumProvider && walletType !== 'walletconnect') {
               try {
-                const detectedType = detectWalletType();
-                let ethereumProvider = window.ethereum;
-                
-                if (window.ethereum.providers) {
-                  if (detectedType === 'rabby') {
-                    ethereumProvider = window.ethereum.providers.find(p => p.isRabby) || window.ethereum;
-                  } else if (detectedType === 'metamask') {
-                    ethereumProvider = window.ethereum.providers.find(p => p.isMetaMask) || window.ethereum;
-                  }
-                }
-                
                 const chainIdHex = await ethereumProvider.request({ method: 'eth_chainId' });
                 const chainIdFromWallet = parseInt(chainIdHex, 16);
                 const expectedNetwork = NETWORKS[targetNetworkKey];
@@ -530,23 +498,12 @@ function App() {
   );
 
   const initProvider = useCallback(async () => {
-    if (!window.ethereum) {
+    const ethereumProvider = getInjectedProvider();
+    if (!ethereumProvider) {
       showMessage("Please install a compatible wallet (MetaMask or Rabby)", "error");
       return null;
     }
 
-    // Get the correct provider if multiple wallets are installed
-    let ethereumProvider = window.ethereum;
-    const detectedType = detectWalletType();
-
-    if (window.ethereum.providers) {
-      if (detectedType === 'rabby') {
-        ethereumProvider = window.ethereum.providers.find(p => p.isRabby) || window.ethereum;
-      } else if (detectedType === 'metamask') {
-        ethereumProvider = window.ethereum.providers.find(p => p.isMetaMask) || window.ethereum;
-      }
-    }
-
     const newProvider = new ethers.BrowserProvider(ethereumProvider);
     setProvider(newProvider);
     await checkNetwork(newProvider);
@@ -559,7 +516,7 @@ function App() {
       return;
     }
 
-    const config = NETWORKS[selectedNetwork] || NETWORKS.mainnet;
+    const config = NETWORKS[selectedNetwork] || NETWORKS[DEFAULT_NETWORK_KEY];
     if (!config || !config.contractAddress || config.contractAddress === ZERO_ADDRESS) {
       console.warn(`No contract address configured for network: ${selectedNetwork}`);
       setHappyVotes(0);
@@ -596,75 +553,7 @@ function App() {
     }
 
     try {
-      const [happy, sad] = await client.readContract({
-        abi: config.abi,
-        address: config.contractAddress,
-        functionName: "getVotes",
-      });
-
-      setHappyVotes(safeNumber(happy));
-      setSadVotes(safeNumber(sad));
-
-        // Check if refund is enabled (only if function exists in ABI)
-        const hasRefundEnabled = config.abi.some(item =>
-          item.type === 'function' && item.name === 'refundEnabled'
-        );
-
-        if (hasRefundEnabled) {
-          try {
-            const refundEnabledValue = await client.readContract({
-              abi: config.abi,
-              address: config.contractAddress,
-              functionName: "refundEnabled",
-            });
-            // Handle different return types (boolean, string, number, BigInt)
-            let boolValue = false;
-            if (typeof refundEnabledValue === 'boolean') {
-              boolValue = refundEnabledValue;
-            } else if (typeof refundEnabledValue === 'string') {
-              boolValue = refundEnabledValue.toLowerCase() === 'true' || refundEnabledValue === '1';
-            } else if (typeof refundEnabledValue === 'number' || typeof refundEnabledValue === 'bigint') {
-              boolValue = Number(refundEnabledValue) !== 0;
-            } else {
-              boolValue = Boolean(refundEnabledValue);
-            }
-            setRefundEnabled(boolValue);
-          } catch (refundErr) {
-            // If refundEnabled call fails, set to false
-            console.warn("refundEnabled call failed:", refundErr.message);
-            setRefundEnabled(false);
-          }
-        } else {
-          // Function doesn't exist in ABI (e.g., testnet contract)
-          setRefundEnabled(false);
-        }
-
-      if (config.hasLeaderboard) {
-        try {
-          const [addresses, happyCounts] = await client.readContract({
-            abi: config.abi,
-            address: config.contractAddress,
-            functionName: "getHappyLeaderboard",
-          });
-          // Validate and filter addresses
-          const mapped =
-              addresses?.map((addr, index) => {
-                // Validate address format
-                const validAddr = isValidAddress(addr) ? addr : null;
-                return {
-                  address: validAddr,
-                  happyVotes: safeNumber(happyCounts[index]),
-                };
-              })
-              .filter((row) => row.address && row.happyVotes > 0) || [];
-          setLeaderboard(mapped);
-        } catch (leaderboardErr) {
-          console.warn("Failed to fetch leaderboard for network:", config.key, leaderboardErr);
-          setLeaderboard([]);
-        }
-      } else {
-        setLeaderboard([]);
-      }
+      applyVoteState(await readVoteState({ client, config }));
     } catch (err) {
       console.error(`Failed to fetch network stats for ${config.key}:`, err);
       // Set stats to 0 on error to ensure UI updates
@@ -672,13 +561,142 @@ function App() {
       setSadVotes(0);
       setLeaderboard([]);
       setRefundEnabled(false);
+      setIsPaused(false);
     }
-  }, [selectedNetwork, getNetworkClient, walletType, account]);
+  }, [selectedNetwork, getNetworkClient, walletType, account, applyVoteState]);
 
   useEffect(() => {
     fetchSelectedNetworkStats();
   }, [fetchSelectedNetworkStats]);
 
+  // Live contract events: other people's votes, leaderboard moves and owner pause/unpause
+  useEffect(() => {
+    const networkKey = transactionNetworkKey || selectedNetwork;
+    const config = NETWORKS[networkKey];
+    if (
+        !config ||
+        config.contractAddress === ZERO_ADDRESS ||
+        !isValidAddress(config.contractAddress) ||
+        !isValidAbi(config.abi)
+    ) {
+      setLiveMode(null);
+      return;
+    }
+
+    const client = getNetworkClient(networkKey);
+    if (!client) {
+      setLiveMode(null);
+      return;
+    }
+
+    const baseArgs = { abi: config.abi, address: config.contractAddress };
+    let reconcileTimeout = null;
+    // Board size, so a live new entrant can push the last row off like the contract does
+    let topN = null;
+    const readTopN = () => {
+      if (!config.hasLeaderboard || !hasAbiFunction(config.abi, 'topN')) return;
+      client.readContract({ ...baseArgs, functionName: 'topN' })
+        .then((value) => { topN = safeNumber(value); })
+        .catch((err) => console.warn(`Failed to read topN on ${networkKey}:`, err));
+    };
+    readTopN();
+
+    const applyPaused = (pausedValue) => {
+      setIsPaused(pausedValue);
+      setAdminState((prev) => (prev && prev.networkKey === networkKey ? { ...prev, paused: pausedValue } : prev));
+    };
+
+    // Re-read absolute totals shortly after a burst of events so optimistic increments never drift
+    const reconcile = async () => {
+      try {
+        const state = await readVoteState({ client, config });
+        setHappyVotes(state.happyVotes);
+        setSadVotes(state.sadVotes);
+        if (state.leaderboard) setLeaderboard(state.leaderboard);
+        readTopN();
+      } catch (err) {
+        console.warn(`Live stats reconciliation failed on ${networkKey}:`, err);
+      }
+    };
+
+    const handleLogs = (logs) => {
+      let happyDelta = 0;
+      let sadDelta = 0;
+      let sawVote = false;
+      const boardUpdates = [];
+
+      logs.forEach((log) => {
+        switch (log.eventName) {
+          case 'Voted': {
+            sawVote = true;
+            // Our own votes are already refreshed by vote()
+            if (account && log.args?.user?.toLowerCase() === account.toLowerCase()) break;
+            if (log.args?.isHappy) {
+              happyDelta += 1;
+            } else {
+              sadDelta += 1;
+            }
+            break;
+          }
+          case 'LeaderboardUpdated':
+            if (isValidAddress(log.args?.account)) {
+              boardUpdates.push({ address: log.args.account, happyVotes: safeNumber(log.args.newCount) });
+            }
+            break;
+          case 'Paused':
+            applyPaused(true);
+            break;
+          case 'Unpaused':
+            applyPaused(false);
+            break;
+          default:
+            break;
+        }
+      });
+
+      if (happyDelta > 0) setHappyVotes((prev) => prev + happyDelta);
+      if (sadDelta > 0) setSadVotes((prev) => prev + sadDelta);
+
+      if (config.hasLeaderboard && boardUpdates.length > 0) {
+        setLeaderboard((prev) => {
+          const next = prev.map((row) => ({ ...row }));
+          boardUpdates.forEach((update) => {
+            const existing = next.find((row) => row.address.toLowerCase() === update.address.toLowerCase());
+            if (existing) {
+              existing.happyVotes = update.happyVotes;
+            } else {
+              next.push(update);
+            }
+          });
+          // Stable sort keeps the contract's tie order (earlier entries stay ahead), so a new
+          // entrant lands behind equal counts and the displaced last row ends up past topN
+          next.sort((a, b) => b.happyVotes - a.happyVotes);
+          return topN ? next.slice(0, topN) : next;
+        });
+      }
+
+      if (sawVote) {
+        clearTimeout(reconcileTimeout);
+        reconcileTimeout = setTimeout(reconcile, 3000);
+      }
+    };
+
+    const unwatch = watchContractLogs({
+      client,
+      ...baseArgs,
+      eventNames: ['Voted', 'LeaderboardUpdated', 'Paused', 'Unpaused'],
+      onLogs: handleLogs,
+      onModeChange: setLiveMode,
+      onError: (err) => console.warn(`Live event watcher error on ${networkKey}:`, err),
+    });
+
+    return () => {
+      unwatch();
+      clearTimeout(reconcileTimeout);
+      setLiveMode(null);
+    };
+  }, [transactionNetworkKey, selectedNetwork, getNetworkClient, account]);
+
 
   // Close tooltip when clicking outside
   useEffect(() => {
@@ -762,88 +780,7 @@ function App() {
         }
 
         try {
-          const baseArgs = {
-            abi: config.abi,
-            address: config.contractAddress,
-          };
-
-          const [happy, sad] = await client.readContract({
-            ...baseArgs,
-            functionName: "getVotes",
-          });
-          setHappyVotes(safeNumber(happy));
-          setSadVotes(safeNumber(sad));
-
-          // Check if refund is enabled (only if function exists in ABI)
-          const hasRefundEnabled = config.abi.some(item =>
-            item.type === 'function' && item.name === 'refundEnabled'
-          );
-
-          if (hasRefundEnabled) {
-            try {
-              const refundEnabledValue = await client.readContract({
-                ...baseArgs,
-                functionName: "refundEnabled",
-              });
-              // Handle different return types (boolean, string, number, BigInt)
-              let boolValue = false;
-              if (typeof refundEnabledValue === 'boolean') {
-                boolValue = refundEnabledValue;
-              } else if (typeof refundEnabledValue === 'string') {
-                boolValue = refundEnabledValue.toLowerCase() === 'true' || refundEnabledValue === '1';
-              } else if (typeof refundEnabledValue === 'number' || typeof refundEnabledValue === 'bigint') {
-                boolValue = Number(refundEnabledValue) !== 0;
-              } else {
-                boolValue = Boolean(refundEnabledValue);
-              }
-              setRefundEnabled(boolValue);
-            } catch (refundErr) {
-              // If refundEnabled call fails, set to false
-              console.warn("refundEnabled call failed:", refundErr.message);
-              setRefundEnabled(false);
-            }
-          } else {
-            // Function doesn't exist in ABI (e.g., testnet contract)
-            setRefundEnabled(false);
-          }
-
-          const walletCanVote = await client.readContract({
-            ...baseArgs,
-            functionName: "canVote",
-            args: [account],
-          });
-          setCanVote(Boolean(walletCanVote));
-
-          if (!walletCanVote) {
-            const seconds = await client.readContract({
-              ...baseArgs,
-              functionName: "timeUntilNextVote",
-              args: [account],
-            });
-            setTimeLeft(safeNumber(seconds));
-          } else {
-            setTimeLeft(null);
-          }
-
-          if (config.hasLeaderboard) {
-            const [addresses, happyCounts] = await client.readContract({
-              ...baseArgs,
-              functionName: "getHappyLeaderboard",
-            });
-            // Validate and filter addresses
-            const mapped =
-                addresses?.map((addr, index) => {
-                  const validAddr = isValidAddress(addr) ? addr : null;
-                  return {
-                    address: validAddr,
-                    happyVotes: safeNumber(happyCounts[index]),
-                  };
-                })
-                .filter((row) => row.address && row.happyVotes > 0) || [];
-            setLeaderboard(mapped);
-          } else {
-            setLeaderboard([]);
-          }
+          applyVoteState(await readVoteState({ client, config, account }));
         } catch (err) {
           console.error("WalletConnect state sync failed:", err);
           if (!isDisconnecting) {
@@ -851,7 +788,7 @@ function App() {
           }
         }
       },
-      [account, showMessage, getNetworkClient, walletType, activeNetworkKey, walletClient, isDisconnecting]
+      [account, showMessage, getNetworkClient, walletType, activeNetworkKey, walletClient, isDisconnecting, applyVoteState]
   );
 
   const initContract = useCallback(async (provider, account, networkKey = selectedNetwork) => {
@@ -877,10 +814,9 @@ function App() {
         return null;
       } else {
         // Для MetaMask используем стандартный подход
-        // Validate ABI before creating contract to prevent malicious ABI injection
+        // Validate ABI before use to prevent malicious ABI injection
         if (!isValidAbi(config.abi)) {
           console.error("Invalid ABI structure in initContract for network:", networkKey);
-          setContract(null);
           setHappyVotes(0);
           setSadVotes(0);
           setLeaderboard([]);
@@ -890,159 +826,31 @@ function App() {
           return;
         }
 
-        const signer = await provider.getSigner();
-        const contract = new ethers.Contract(config.contractAddress, config.abi, signer);
-        setContract(contract);
-
-        // Get votes with error handling
-        // For Rabby Wallet, sometimes direct RPC calls work better than through provider
-        try {
-          const [happy, sad] = await contract.getVotes();
-          setHappyVotes(safeNumber(happy));
-          setSadVotes(safeNumber(sad));
-        } catch (votesErr) {
-          console.error("Failed to get votes via contract:", votesErr);
-          // Try using public client (viem) as fallback for reading data
-          try {
-            const client = getNetworkClient(config.key);
-            if (client) {
-              const [happy, sad] = await client.readContract({
-                abi: config.abi,
-                address: config.contractAddress,
-                functionName: "getVotes",
-              });
-              setHappyVotes(safeNumber(happy));
-              setSadVotes(safeNumber(sad));
-              console.log("✅ Successfully got votes via public client fallback");
-            } else {
-              throw new Error("No public client available");
-            }
-          } catch (fallbackErr) {
-            console.error("Failed to get votes (fallback):", fallbackErr);
-            setHappyVotes(0);
-            setSadVotes(0);
-          }
-        }
-
-        // Check if refund is enabled (only if function exists in ABI)
-        const hasRefundEnabled = config.abi.some(item =>
-          item.type === 'function' && item.name === 'refundEnabled'
-        );
-
-        if (hasRefundEnabled) {
-          try {
-            const refundEnabledValue = await contract.refundEnabled();
-            // Handle different return types (boolean, string, number, BigInt)
-            let boolValue = false;
-            if (typeof refundEnabledValue === 'boolean') {
-              boolValue = refundEnabledValue;
-            } else if (typeof refundEnabledValue === 'string') {
-              boolValue = refundEnabledValue.toLowerCase() === 'true' || refundEnabledValue === '1';
-            } else if (typeof refundEnabledValue === 'number' || typeof refundEnabledValue === 'bigint') {
-              boolValue = Number(refundEnabledValue) !== 0;
-            } else {
-              boolValue = Boolean(refundEnabledValue);
-            }
-            setRefundEnabled(boolValue);
-          } catch (refundErr) {
-            // If refundEnabled call fails, set to false
-            console.warn("refundEnabled call failed:", refundErr.message);
-            setRefundEnabled(false);
-          }
-        } else {
-          // Function doesn't exist in ABI (e.g., testnet contract)
-          setRefundEnabled(false);
+        // Reads go through the public client: one batched request, and more reliable than Rabby's provider
+        const client = getNetworkClient(config.key);
+        if (!client) {
+          throw new Error(`No public client available for ${config.key}`);
         }
-
-        // Get canVote with error handling
-        let canVote = false;
         try {
-          canVote = await contract.canVote(account);
-          setCanVote(canVote);
-        } catch (canVoteErr) {
-          console.error("Failed to get canVote via contract:", canVoteErr);
-          // Try using public client (viem) as fallback
-          try {
-            const client = getNetworkClient(config.key);
-            if (client) {
-              canVote = await client.readContract({
-                abi: config.abi,
-                address: config.contractAddress,
-                functionName: "canVote",
-                args: [account],
-              });
-              setCanVote(Boolean(canVote));
-              console.log("✅ Successfully got canVote via public client fallback");
-            } else {
-              setCanVote(false);
-            }
-          } catch (fallbackErr) {
-            console.error("Failed to get canVote (fallback):", fallbackErr);
-            setCanVote(false);
-          }
-        }
-
-        if (!canVote) {
-          try {
-            const seconds = await contract.timeUntilNextVote(account);
-            setTimeLeft(safeNumber(seconds));
-          } catch (timeErr) {
-            console.error("Failed to get timeUntilNextVote:", timeErr);
-            // Try using public client as fallback
-            try {
-              const client = getNetworkClient(config.key);
-              if (client) {
-                const seconds = await client.readContract({
-                  abi: config.abi,
-                  address: config.contractAddress,
-                  functionName: "timeUntilNextVote",
-                  args: [account],
-                });
-                setTimeLeft(safeNumber(seconds));
-              } else {
-                setTimeLeft(null);
-              }
-            } catch (fallbackErr) {
-              console.error("Failed to get timeUntilNextVote (fallback):", fallbackErr);
-              setTimeLeft(null);
-            }
-          }
-        } else {
+          applyVoteState(await readVoteState({ client, config, account }));
+        } catch (readErr) {
+          console.error("Failed to read contract state:", readErr);
+          setHappyVotes(0);
+          setSadVotes(0);
+          setCanVote(false);
           setTimeLeft(null);
-        }
-
-        if (config.hasLeaderboard) {
-          try {
-            const [addresses, happyCounts] = await contract.getHappyLeaderboard();
-            // Validate and filter addresses
-            const mapped = addresses
-              .map((addr, index) => {
-                const validAddr = isValidAddress(addr) ? addr : null;
-                return {
-                  address: validAddr,
-                  happyVotes: safeNumber(happyCounts[index]),
-                };
-              })
-              .filter((row) => row.address && row.happyVotes > 0);
-            setLeaderboard(mapped);
-          } catch (leaderboardError) {
-            console.warn("Failed to fetch leaderboard", leaderboardError);
-            setLeaderboard([]);
-          }
-        } else {
           setLeaderboard([]);
         }
-
-        return contract;
       }
     } catch (err) {
       console.error("Contract initialization failed:", err);
       showMessage("Failed to initialize contract", "error");
     }
-  }, [showMessage, walletType, fetchWalletConnectState, selectedNetwork, activeNetworkKey]);
+  }, [showMessage, walletType, fetchWalletConnectState, selectedNetwork, activeNetworkKey, getNetworkClient, applyVoteState]);
 
   const connectMetaMask = useCallback(async () => {
-    if (!window.ethereum) {
+    const ethereumProvider = getInjectedProvider();
+    if (!ethereumProvider) {
       showMessage("Please install a compatible wallet (MetaMask or Rabby)", "error");
       return;
     }
@@ -1050,16 +858,6 @@ function App() {
     setLoading((prev) => ({ ...prev, wallet: true }));
 
     try {
-      // Get the correct provider if multiple wallets are installed
-      let ethereumProvider = window.ethereum;
-      const walletTypeDetected = detectWalletType();
-
-      if (window.ethereum.providers && walletTypeDetected === 'rabby') {
-        ethereumProvider = window.ethereum.providers.find(p => p.isRabby) || window.ethereum;
-      } else if (window.ethereum.providers && walletTypeDetected === 'metamask') {
-        ethereumProvider = window.ethereum.providers.find(p => p.isMetaMask) || window.ethereum;
-      }
-
       const accounts = await ethereumProvider.request({ method: "eth_requestAccounts" });
       const selectedAccount = accounts[0];
       setAccount(selectedAccount);
@@ -1067,6 +865,12 @@ function App() {
       // Set wallet type based on detection
       const detectedType = detectWalletType();
       setWalletType(detectedType || 'metamask');
+      const walletName = detectedType === 'rabby' ? 'Rabby Wallet' : detectedType === 'demo' ? 'Demo wallet' : 'MetaMask';
+
+      // The demo wallet has every network, so it simply follows the one picked in the app
+      if (detectedType === 'demo') {
+        await ethereumProvider.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: selectedNetworkConfig.chainHex }] });
+      }
 
       // Create provider with the correct ethereum instance
       const newProvider = new ethers.BrowserProvider(ethereumProvider);
@@ -1076,12 +880,10 @@ function App() {
       if (!isCorrect) {
         // Don't return early - allow user to see the switch network button
         // The networkCorrect state is already set to false by checkNetwork
-        const walletName = detectedType === 'rabby' ? 'Rabby Wallet' : 'MetaMask';
         showMessage(`Please switch ${walletName} to ${selectedNetworkConfig.label}`, "error");
         // Still initialize contract if possible, but networkCorrect will show the switch button
       } else {
         await initContract(newProvider, selectedAccount, selectedNetwork);
-        const walletName = detectedType === 'rabby' ? 'Rabby Wallet' : 'MetaMask';
         showMessage(`${walletName} connected`, "success");
       }
       
@@ -1093,7 +895,7 @@ function App() {
     } finally {
       setLoading((prev) => ({ ...prev, wallet: false }));
     }
-  }, [checkNetwork, initProvider, initContract, showMessage, selectedNetwork, selectedNetworkConfig.label]);
+  }, [checkNetwork, initProvider, initContract, showMessage, selectedNetwork, selectedNetworkConfig.label, selectedNetworkConfig.chainHex]);
 
   const connectWalletConnect = useCallback(() => {
     // Не устанавливаем walletType заранее, он установится в useEffect при успешном подключении
@@ -1108,11 +910,12 @@ function App() {
     }
   }, [connectMetaMask, connectWalletConnect]);
 
+  // Resolves to whether the wallet ended up on the target network
   const switchNetwork = useCallback(
       async (targetNetworkKey = selectedNetwork, options = {}) => {
         const { showToast = true } = options;
         const targetConfig = NETWORKS[targetNetworkKey];
-        if (!targetConfig) return;
+        if (!targetConfig) return false;
 
         try {
           setIsSwitchingNetwork(true);
@@ -1131,7 +934,7 @@ function App() {
             } else {
               openNetworkModal();
               showMessage("Please switch networks in your wallet", "info");
-              return;
+              return false;
             }
 
             setNetworkCorrect(true);
@@ -1147,22 +950,11 @@ function App() {
             if (showToast) {
               showMessage(`Switched to ${targetConfig.label}`, "success");
             }
-            return;
+            return true;
           }
 
-          if (window.ethereum) {
-            // Get the correct provider if multiple wallets are installed
-            let ethereumProvider = window.ethereum;
-            const detectedType = detectWalletType();
-
-            if (window.ethereum.providers) {
-              if (detectedType === 'rabby') {
-                ethereumProvider = window.ethereum.providers.find(p => p.isRabby) || window.ethereum;
-              } else if (detectedType === 'metamask') {
-                ethereumProvider = window.ethereum.providers.find(p => p.isMetaMask) || window.ethereum;
-              }
-            }
-
+          const ethereumProvider = getInjectedProvider();
+          if (ethereumProvider) {
             try {
               // Check current chainId before switching
               const currentChainIdHex = await ethereumProvider.request({ method: 'eth_chainId' });
@@ -1180,7 +972,7 @@ function App() {
                 if (showToast) {
                   showMessage(`Already on ${targetConfig.label}`, "info");
                 }
-                return;
+                return true;
               }
 
               // Set up a promise to wait for chainChanged event
@@ -1234,10 +1026,10 @@ function App() {
                       method: "wallet_addEthereumChain",
                       params: [{
                         chainId: targetConfig.chainHex,
-                        chainName: `${targetConfig.label}`,
+                        chainName: targetConfig.chainName,
                         rpcUrls: targetConfig.rpcUrls,
                         nativeCurrency: targetConfig.nativeCurrency,
-                        blockExplorerUrls: [targetConfig.explorerUrl],
+                        ...(targetConfig.explorerUrl ? { blockExplorerUrls: [targetConfig.explorerUrl] } : {}),
                       }],
                     });
                     // After adding, try switching again
@@ -1255,7 +1047,7 @@ function App() {
                       if (showToast) {
                         showMessage("Network switch rejected", "error");
                       }
-                      return;
+                      return false;
                     }
                     throw addError;
                   }
@@ -1264,7 +1056,7 @@ function App() {
                   if (showToast) {
                     showMessage("Network switch rejected", "error");
                   }
-                  return;
+                  return false;
                 } else {
                   throw switchError;
                 }
@@ -1317,7 +1109,7 @@ function App() {
               if (showToast) {
                 showMessage(`Switched to ${targetConfig.label}`, "success");
               }
-              return;
+              return true;
             } catch (err) {
               // Clean up any remaining listeners
               if (err.message !== "Network switch timeout" && err.code !== 4001) {
@@ -1328,11 +1120,13 @@ function App() {
           }
 
           showMessage("No provider available to switch network", "error");
+          return false;
         } catch (err) {
           console.error("Network switch failed", err);
           if (showToast) {
             showMessage("Failed to switch network", "error");
           }
+          return false;
         } finally {
           setIsSwitchingNetwork(false);
           setLoading((prev) => ({ ...prev, network: false }));
@@ -1341,6 +1135,50 @@ function App() {
       [selectedNetwork, walletType, switchChain, walletClient, fetchWalletConnectState, fetchSelectedNetworkStats, showMessage, checkNetwork, initContract, account, openNetworkModal]
   );
 
+  // Refund pool and per-account refund totals from getRefundStats()
+  const fetchRefundStats = useCallback(async (networkKey) => {
+    const config = NETWORKS[networkKey];
+    if (
+        !config ||
+        config.contractAddress === ZERO_ADDRESS ||
+        !isValidAddress(config.contractAddress) ||
+        !isValidAbi(config.abi) ||
+        !hasAbiFunction(config.abi, 'getRefundStats')
+    ) {
+      setRefundStats(null);
+      return;
+    }
+
+    const client = getNetworkClient(networkKey);
+    if (!client) {
+      setRefundStats(null);
+      return;
+    }
+
+    try {
+      // getRefundStats reports refundedBy/owed for msg.sender, so read from the connected account
+      const [enabled, maxRefund, totalRefundedAmount, contractBalance, userRefunded, userOwed] = await client.readContract({
+        abi: config.abi,
+        address: config.contractAddress,
+        functionName: "getRefundStats",
+        ...(account && isValidAddress(account) ? { account } : {}),
+      });
+      setRefundStats({
+        networkKey,
+        account: account || null,
+        enabled: Boolean(enabled),
+        maxRefund,
+        totalRefunded: totalRefundedAmount,
+        balance: contractBalance,
+        userRefunded,
+        userOwed,
+      });
+    } catch (err) {
+      console.warn(`Failed to fetch refund stats for ${networkKey}:`, err);
+      setRefundStats(null);
+    }
+  }, [account, getNetworkClient]);
+
   const vote = useCallback(async (isHappy) => {
     const voteType = isHappy ? "Happy" : "Sad";
     console.log(`🎯 [Vote] Function called for ${voteType} vote (isHappy: ${isHappy})`);
@@ -1348,8 +1186,6 @@ function App() {
       account,
       walletType,
       networkCorrect,
-      hasContract: !!contract,
-      hasProvider: !!provider,
       selectedNetwork,
       activeNetworkKey,
       voteType
@@ -1367,6 +1203,12 @@ function App() {
       return;
     }
 
+    if (isPaused) {
+      console.error("❌ [Vote] Voting is paused");
+      showMessage(`Voting is paused on ${selectedNetworkConfig.label}`, "error");
+      return;
+    }
+
     const networkKey = walletType === 'walletconnect' ? activeNetworkKey : selectedNetwork;
     console.log("🎯 [Vote] Network key:", networkKey, "walletType:", walletType);
 
@@ -1397,517 +1239,55 @@ function App() {
       return;
     }
 
-    try {
-      setLoading((prev) => ({ ...prev, voting: true }));
-
-      if (walletType === 'walletconnect') {
-        console.log("🔗 [Vote] Using WalletConnect path");
-        if (!walletClient) {
-          console.error("❌ [WalletConnect Vote] WalletConnect client not ready");
-          showMessage("WalletConnect client not ready", "error");
-          return;
-        }
-        if (walletClient.chain?.id !== targetConfig.chainId) {
-          console.error("❌ [WalletConnect Vote] Wrong chain");
-          showMessage(`Please switch to ${targetConfig.label}`, "error");
-          return;
-        }
-
+    // Re-read votes, cooldown and leaderboard from the public client (more reliable than Rabby's provider)
+    const refreshAfterVote = async () => {
+      try {
         const client = getNetworkClient(networkKey);
-        if (!client) {
-          console.error("❌ [WalletConnect Vote] Unable to initialize network client");
-          showMessage("Unable to initialize network client", "error");
-          return;
-        }
-
-        // Для WalletConnect также нужно увеличить GasLimit в 1.5 раза
-        const voteType = isHappy ? "Happy" : "Sad";
-        console.log(`📊 [WalletConnect Vote] Estimating gas for ${voteType} vote...`);
-
-        // Validate addresses before gas estimation
-        const walletAccount = walletClient.account?.address ?? account;
-        if (!isValidAddress(walletAccount)) {
-          console.error("❌ [WalletConnect Vote] Invalid wallet account address:", walletAccount);
-          showMessage("Invalid wallet account address", "error");
-          return;
-        }
-
-        // Validate ABI before use to prevent malicious ABI injection
-        if (!isValidAbi(targetConfig.abi)) {
-          console.error("❌ [WalletConnect Vote] Invalid ABI structure for network:", networkKey);
-          showMessage("Invalid contract ABI for this network", "error");
-          return;
-        }
-
-        try {
-          // Получаем оценку газа
-          const estimatedGas = await client.estimateContractGas({
-            abi: targetConfig.abi,
-            address: targetConfig.contractAddress,
-            functionName: "vote",
-            args: [isHappy],
-            account: walletAccount,
-          });
-
-          // Увеличиваем GasLimit: 1.5x для Happy, 1.7x для Sad
-          const multiplier = isHappy ? 150n : 170n; // 1.5x для Happy, 1.7x для Sad
-          const increasedGasLimit = (estimatedGas * multiplier) / 100n;
-
-          console.log(`✅ [WalletConnect Vote] Gas estimation for ${voteType} vote:`, {
-            estimated: estimatedGas.toString(),
-            increased: increasedGasLimit.toString(),
-            multiplier: isHappy ? "1.5x" : "1.7x",
-            voteType
-          });
-
-          console.log(`📤 [WalletConnect Vote] Sending ${voteType} vote transaction with gasLimit:`, increasedGasLimit.toString());
-          console.log(`📤 [WalletConnect Vote] Transaction params:`, {
-            address: targetConfig.contractAddress,
-            functionName: "vote",
-            args: [isHappy],
-            account: walletClient.account?.address ?? account,
-            gas: increasedGasLimit.toString()
-          });
-
-          let txHash;
-          try {
-            txHash = await walletClient.writeContract({
-              abi: targetConfig.abi,
-              address: targetConfig.contractAddress,
-              functionName: "vote",
-              args: [isHappy],
-              account: walletClient.account?.address ?? account,
-              gas: increasedGasLimit, // Явно указываем увеличенный gasLimit
-            });
-            console.log(`✅ [WalletConnect Vote] ${voteType} vote transaction sent, hash:`, txHash);
-          } catch (writeErr) {
-            console.error(`❌ [WalletConnect Vote] Error sending ${voteType} vote transaction:`, writeErr);
-            // Проверяем, не отменил ли пользователь транзакцию
-            if (writeErr?.message?.includes("user rejected") ||
-                writeErr?.message?.includes("User denied") ||
-                writeErr?.message?.includes("User rejected") ||
-                writeErr?.code === 4001 ||
-                writeErr?.code === "ACTION_REJECTED") {
-              console.log(`🚫 [WalletConnect Vote] ${voteType} vote transaction rejected by user during send`);
-              throw writeErr;
-            }
-            throw writeErr;
-          }
-
-          console.log(`⏳ [WalletConnect Vote] Waiting for ${voteType} vote transaction confirmation...`);
-          try {
-            await client.waitForTransactionReceipt({ hash: txHash });
-            console.log(`✅ [WalletConnect Vote] ${voteType} vote transaction confirmed!`);
-          } catch (waitErr) {
-            console.error(`❌ [WalletConnect Vote] Error waiting for ${voteType} vote transaction:`, waitErr);
-            throw waitErr;
-          }
-
-          await fetchWalletConnectState(networkKey);
-          showMessage("Vote successful!", "success");
-        } catch (gasErr) {
-          const voteType = isHappy ? "Happy" : "Sad";
-          console.error(`❌ [WalletConnect Vote] Error for ${voteType} vote:`, gasErr);
-
-          // Проверяем, не отменил ли пользователь транзакцию
-          if (gasErr?.message?.includes("user rejected") ||
-              gasErr?.message?.includes("User denied") ||
-              gasErr?.message?.includes("User rejected") ||
-              gasErr?.code === 4001) {
-            console.log(`🚫 [WalletConnect Vote] ${voteType} vote transaction rejected by user`);
-            throw gasErr; // Пробрасываем ошибку, чтобы не пытаться отправлять повторно
-          }
-
-          // Если это не отмена пользователем, пробрасываем ошибку дальше
-          throw gasErr;
-        }
-      } else if (contract) {
-        // Для MetaMask/Rabby нужно увеличить GasLimit: 1.5x для Happy, 1.7x для Sad
-        const voteType = isHappy ? "Happy" : "Sad";
-        const walletName = walletType === 'rabby' ? 'Rabby' : 'MetaMask';
-        console.log(`🚀 [${walletName} Vote] Starting ${voteType} vote transaction...`);
-        console.log(`🚀 [${walletName} Vote] Contract and provider available:`, {
-          hasContract: !!contract,
-          hasProvider: !!provider,
-          contractAddress: targetConfig.contractAddress,
-          voteType,
-          walletType
-        });
-
-        if (!provider) {
-          console.error(`❌ [${walletName} Vote] Provider not available`);
-          showMessage("Provider not available", "error");
-          return;
-        }
-
-        if (!window.ethereum) {
-          console.error(`❌ [${walletName} Vote] Wallet not available`);
-          showMessage("Wallet not available", "error");
-          return;
-        }
-
-        // Validate contract and ABI before use
-        if (!contract || !contract.vote || typeof contract.vote.populateTransaction !== 'function') {
-          console.error("❌ [MetaMask Vote] Contract or vote function not available");
-          showMessage("Contract not properly initialized", "error");
-          return;
-        }
-
-        try {
-          // Получаем оценку газа от RPC
-          const voteType = isHappy ? "Happy" : "Sad";
-          const walletName = walletType === 'rabby' ? 'Rabby' : 'MetaMask';
-          console.log(`📊 [${walletName} Vote] Estimating gas for ${voteType} vote...`);
-
-          // Используем прямой вызов метода контракта для более надежной работы
-          const signer = await provider.getSigner();
-          const contractWithSigner = contract.connect(signer);
-
-          // Проверяем и синхронизируем nonce для Rabby Wallet
-          // Rabby может кэшировать старые nonce, поэтому нужно убедиться, что используем актуальный
-          if (walletType === 'rabby') {
-            try {
-              const currentNonce = await provider.getTransactionCount(account, 'pending');
-              const latestNonce = await provider.getTransactionCount(account, 'latest');
-              console.log(`📊 [${walletName} Vote] Nonce check for ${account}:`, {
-                pending: currentNonce,
-                latest: latestNonce,
-                difference: currentNonce - latestNonce
-              });
-
-              // Если pending nonce сильно отличается от latest, это может быть проблемой
-              if (currentNonce - latestNonce > 10) {
-                console.warn(`⚠️ [${walletName} Vote] Large nonce gap detected. This might cause issues.`);
-              }
-            } catch (nonceErr) {
-              console.warn(`⚠️ [${walletName} Vote] Could not check nonce:`, nonceErr);
-            }
-          }
-
-          // Получаем оценку газа через прямой вызов
-          let estimatedGas;
-          try {
-            estimatedGas = await contractWithSigner.vote.estimateGas(isHappy);
-          } catch (estErr) {
-            console.error(`❌ [${walletName} Vote] Gas estimation failed:`, estErr);
-            // Если оценка не удалась, используем значение по умолчанию
-            estimatedGas = isHappy ? 95000n : 110000n;
-            console.warn(`⚠️ [${walletName} Vote] Using default gas limit:`, estimatedGas.toString());
-          }
-
-          // Увеличиваем GasLimit: 1.5x для Happy, 1.7x для Sad
-          const multiplier = isHappy ? 150n : 170n; // 1.5x для Happy, 1.7x для Sad
-          const increasedGasLimit = (estimatedGas * multiplier) / 100n;
-
-          console.log(`✅ [${walletName} Vote] Gas estimation for ${voteType} vote:`, {
-            estimated: estimatedGas.toString(),
-            increased: increasedGasLimit.toString(),
-            multiplier: isHappy ? "1.5x" : "1.7x",
-            voteType
-          });
-
-          console.log(`📤 [${walletName} Vote] Sending ${voteType} vote transaction with gasLimit:`, increasedGasLimit.toString());
-
-          let tx;
-          try {
-            // Используем прямой вызов метода контракта с явным указанием gasLimit
-            // Это более надежный способ, так как кошельки лучше обрабатывают вызовы методов
-            console.log(`📤 [${walletName} Vote] Calling vote function with params:`, {
-              isHappy,
-              gasLimit: increasedGasLimit.toString(),
-              contractAddress: targetConfig.contractAddress,
-              account
-            });
-
-            tx = await contractWithSigner.vote(isHappy, {
-              gasLimit: increasedGasLimit, // Явно указываем увеличенный gasLimit
-            });
-
-            // Проверяем, что транзакция действительно создана
-            if (!tx || !tx.hash) {
-              throw new Error("Transaction object is invalid - no hash received");
-            }
-          } catch (sendErr) {
-            // Проверяем, не отменил ли пользователь транзакцию
-            if (sendErr?.message?.includes("user rejected") ||
-                sendErr?.message?.includes("User denied") ||
-                sendErr?.message?.includes("User rejected") ||
-                sendErr?.code === 4001 ||
-                sendErr?.code === "ACTION_REJECTED") {
-              console.log(`🚫 [${walletName} Vote] ${voteType} vote transaction rejected by user`);
-              throw sendErr; // Пробрасываем ошибку, чтобы не пытаться отправлять повторно
-            }
-
-            // Проверяем ошибки, связанные с nonce (часто встречаются в Rabby)
-            if (sendErr?.message?.includes("nonce") || sendErr?.message?.includes("Nonce")) {
-              console.error(`❌ [${walletName} Vote] Nonce error detected. This might be due to cached nonce in wallet.`);
-              console.error(`❌ [${walletName} Vote] Try: 1) Refresh the page, 2) Clear wallet cache, or 3) Send a dummy transaction to update nonce`);
-              showMessage("Nonce error. Please refresh the page and try again.", "error");
-              throw sendErr;
-            }
-
-            // Проверяем ошибки, связанные с недостатком средств
-            if (sendErr?.message?.includes("insufficient funds") ||
-                sendErr?.message?.includes("insufficient balance")) {
-              console.error(`❌ [${walletName} Vote] Insufficient funds error`);
-              showMessage("Insufficient funds for transaction. Please add more MON to your wallet.", "error");
-              throw sendErr;
-            }
-
-            console.error(`❌ [${walletName} Vote] Transaction send error:`, sendErr);
-            throw sendErr; // Пробрасываем другие ошибки
-          }
-
-          console.log(`✅ [${walletName} Vote] ${voteType} vote transaction sent, hash:`, tx.hash);
-          console.log(`📋 [${walletName} Vote] ${voteType} vote transaction details:`, {
-            hash: tx.hash,
-            gasLimit: tx.gasLimit?.toString(),
-            expectedGasLimit: increasedGasLimit.toString(),
-            to: tx.to,
-            from: tx.from,
-            nonce: tx.nonce?.toString(),
-            voteType
-          });
-
-          // Проверяем, что gasLimit применился
-          if (tx.gasLimit && tx.gasLimit.toString() !== increasedGasLimit.toString()) {
-            console.warn(`⚠️ [${walletName} Vote] GasLimit mismatch!`, {
-              requested: increasedGasLimit.toString(),
-              actual: tx.gasLimit.toString(),
-              ratio: (Number(tx.gasLimit) / Number(increasedGasLimit) * 100).toFixed(2) + "%"
-            });
-          }
-
-          // Ждем подтверждения транзакции
-          console.log(`⏳ [${walletName} Vote] Waiting for ${voteType} vote confirmation...`);
-          let receipt;
-          try {
-            // Для Rabby Wallet используем более длительный timeout и проверяем статус
-            const timeout = walletType === 'rabby' ? 120000 : 60000; // 2 минуты для Rabby, 1 минута для других
-            receipt = await Promise.race([
-              tx.wait(),
-              new Promise((_, reject) =>
-                setTimeout(() => reject(new Error('Transaction timeout')), timeout)
-              )
-            ]);
-          } catch (waitErr) {
-            // Проверяем, не отменил ли пользователь транзакцию во время ожидания
-            if (waitErr?.message?.includes("user rejected") ||
-                waitErr?.message?.includes("User denied") ||
-                waitErr?.message?.includes("User rejected") ||
-                waitErr?.code === 4001 ||
-                waitErr?.code === "ACTION_REJECTED") {
-              console.log(`🚫 [${walletName} Vote] ${voteType} vote transaction rejected by user during wait`);
-              throw waitErr;
-            }
-
-            // Если timeout, проверяем статус транзакции вручную
-            if (waitErr?.message?.includes("timeout")) {
-              console.warn(`⚠️ [${walletName} Vote] Transaction confirmation timeout. Checking status...`);
-              try {
-                const txReceipt = await provider.getTransactionReceipt(tx.hash);
-                if (txReceipt) {
-                  receipt = txReceipt;
-                  console.log(`✅ [${walletName} Vote] Transaction found after timeout:`, {
-                    hash: receipt.hash,
-                    status: receipt.status === 1 ? "success" : "failed",
-                    blockNumber: receipt.blockNumber
-                  });
-                  // Продолжаем выполнение - receipt найден, проверка статуса будет ниже
-                } else {
-                  // Транзакция еще не включена в блок или не найдена
-                  console.warn(`⚠️ [${walletName} Vote] Transaction not yet included in block or not found. Hash:`, tx.hash);
-                  showMessage(`Transaction sent but not yet confirmed. Please check the transaction status manually. Hash: ${tx.hash.slice(0, 10)}...`, "warning");
-                  // Обновляем состояние через public client (более надежно для Rabby)
-                  try {
-                    const client = getNetworkClient(networkKey);
-                    if (client) {
-                      const [happy, sad] = await client.readContract({
-                        abi: targetConfig.abi,
-                        address: targetConfig.contractAddress,
-                        functionName: "getVotes",
-                      });
-                      setHappyVotes(safeNumber(happy));
-                      setSadVotes(safeNumber(sad));
-
-                      const canVote = await client.readContract({
-                        abi: targetConfig.abi,
-                        address: targetConfig.contractAddress,
-                        functionName: "canVote",
-                        args: [account],
-                      });
-                      setCanVote(Boolean(canVote));
-
-                      if (!canVote) {
-                        const seconds = await client.readContract({
-                          abi: targetConfig.abi,
-                          address: targetConfig.contractAddress,
-                          functionName: "timeUntilNextVote",
-                          args: [account],
-                        });
-                        setTimeLeft(safeNumber(seconds));
-                      } else {
-                        setTimeLeft(null);
-                      }
-                    } else {
-                      // Fallback to contract
-                      const [happy, sad] = await contract.getVotes();
-                      setHappyVotes(safeNumber(happy));
-                      setSadVotes(safeNumber(sad));
-                    }
-                  } catch (updateErr) {
-                    console.warn(`⚠️ [${walletName} Vote] Could not update state:`, updateErr);
-                  }
-                  // Выходим из функции - не показываем сообщение об успехе
-                  return;
-                }
-              } catch (statusErr) {
-                console.error(`❌ [${walletName} Vote] Error checking transaction status:`, statusErr);
-                // Транзакция не найдена или произошла ошибка при проверке
-                showMessage(`Transaction sent but confirmation failed. Please check the transaction status manually. Hash: ${tx.hash.slice(0, 10)}...`, "warning");
-                // Выходим из функции - не показываем сообщение об успехе
-                return;
-              }
-            } else {
-              // Если транзакция провалилась по другой причине (например, out of gas), пробрасываем ошибку
-              throw waitErr;
-            }
-          }
-
-          // Проверяем, что receipt существует перед продолжением
-          if (!receipt) {
-            console.error(`❌ [${walletName} Vote] No receipt available, cannot confirm transaction success`);
-            showMessage("Transaction sent but could not be confirmed. Please check the transaction status manually.", "warning");
-            return;
-          }
-
-          console.log(`✅ [${walletName} Vote] ${voteType} vote transaction confirmed:`, {
-            hash: receipt.hash,
-            gasUsed: receipt.gasUsed.toString(),
-            gasLimit: receipt.gasLimit?.toString(),
-            status: receipt.status === 1 ? "success" : "failed",
-            voteType
-          });
-
-          // Проверяем статус транзакции - только успешные транзакции продолжают выполнение
-          if (receipt.status !== 1) {
-            console.error(`❌ [${walletName} Vote] Transaction failed with status:`, receipt.status);
-            showMessage("Transaction failed. Please try again.", "error");
-            throw new Error("Transaction failed with status: " + receipt.status);
-          }
+        if (!client) throw new Error(`No public client available for ${networkKey}`);
+        applyVoteState(await readVoteState({ client, config: targetConfig, account }), { keepLeaderboard: true });
+      } catch (updateErr) {
+        console.error(`❌ [Vote] Failed to update state after vote:`, updateErr);
+        setCanVote(false);
+      }
+    };
 
-          // Только здесь мы уверены, что транзакция успешна
-          console.log(`✅ [${walletName} Vote] Transaction successfully confirmed in block ${receipt.blockNumber}`);
-
-          // Update state after successful vote
-          // Use public client for reading as it's more reliable with Rabby
-          try {
-            const client = getNetworkClient(networkKey);
-            if (client) {
-              const [happy, sad] = await client.readContract({
-                abi: targetConfig.abi,
-                address: targetConfig.contractAddress,
-                functionName: "getVotes",
-              });
-              setHappyVotes(safeNumber(happy));
-              setSadVotes(safeNumber(sad));
-
-              const canVote = await client.readContract({
-                abi: targetConfig.abi,
-                address: targetConfig.contractAddress,
-                functionName: "canVote",
-                args: [account],
-              });
-              setCanVote(Boolean(canVote));
-
-              if (!canVote) {
-                const seconds = await client.readContract({
-                  abi: targetConfig.abi,
-                  address: targetConfig.contractAddress,
-                  functionName: "timeUntilNextVote",
-                  args: [account],
-                });
-                setTimeLeft(safeNumber(seconds));
-              } else {
-                setTimeLeft(null);
-              }
-            } else {
-              // Fallback to contract if client not available
-              const [happy, sad] = await contract.getVotes();
-              setHappyVotes(safeNumber(happy));
-              setSadVotes(safeNumber(sad));
-              setCanVote(false);
-              const seconds = await contract.timeUntilNextVote(account);
-              setTimeLeft(safeNumber(seconds));
-            }
-          } catch (updateErr) {
-            console.error(`❌ [${walletName} Vote] Failed to update state after vote:`, updateErr);
-            // Try contract as last resort
-            try {
-              const [happy, sad] = await contract.getVotes();
-              setHappyVotes(safeNumber(happy));
-              setSadVotes(safeNumber(sad));
-            } catch (err) {
-              console.error("Failed to update votes:", err);
-            }
-          }
+    try {
+      setLoading((prev) => ({ ...prev, voting: true }));
 
-          if (targetConfig.hasLeaderboard && typeof contract.getHappyLeaderboard === "function") {
-            try {
-              const [addresses, happyCounts] = await contract.getHappyLeaderboard();
-              // Validate and filter addresses
-              const mapped = addresses
-                .map((addr, index) => {
-                  const validAddr = isValidAddress(addr) ? addr : null;
-                  return {
-                    address: validAddr,
-                    happyVotes: safeNumber(happyCounts[index]),
-                  };
-                })
-                .filter((row) => row.address && row.happyVotes > 0);
-              setLeaderboard(mapped);
-            } catch (leaderboardErr) {
-              console.warn(`⚠️ [${walletName} Vote] Failed to update leaderboard:`, leaderboardErr);
-            }
-          }
+      // Padding and fees come from the network's feeStrategy; default limits only if the RPC can't estimate at all
+      await transactionService.writeContract({
+        config: targetConfig,
+        functionName: "vote",
+        args: [isHappy],
+        label: `${voteType} Vote`,
+        fallbackGas: isHappy ? 95000n : 110000n,
+        simulate: true,
+        onPreflight: async ({ client, estimatedGas }) => {
+          const refundText = await describeVoteRefund({ client, config: targetConfig, estimatedGas });
+          showMessage(`Simulation passed: your ${isHappy ? "😊" : "😢"} vote will be counted${refundText}. Confirm in your wallet.`, "info");
+        },
+      });
 
-          // Показываем сообщение об успехе только если receipt подтвержден и статус успешный
-          // Это гарантирует, что мы не показываем успех для неподтвержденных транзакций
-          if (receipt && receipt.status === 1) {
-            showMessage("Vote successful!", "success");
-          } else {
-            console.warn(`⚠️ [${walletName} Vote] Cannot show success message - receipt status is not confirmed`);
-          }
-        } catch (walletErr) {
-          const voteType = isHappy ? "Happy" : "Sad";
-          const walletName = walletType === 'rabby' ? 'Rabby' : 'MetaMask';
-          console.error(`❌ [${walletName} Vote] Error in ${voteType} vote transaction:`, walletErr);
-          throw walletErr; // Пробрасываем ошибку в общий catch
-        }
-      } else {
-        console.error("❌ [Vote] No contract available! walletType:", walletType, "hasContract:", !!contract, "hasProvider:", !!provider);
-        showMessage("Contract not initialized. Please reconnect wallet.", "error");
-      }
+      await refreshAfterVote();
+      setSentVotes((prev) => prev + 1);
+      fetchRefundStats(networkKey);
+      showMessage("Vote successful!", "success");
     } catch (err) {
-      console.error("❌ [Vote] General error:", err);
-      let errorMessage = "Voting failed";
-
-      if (err?.message) {
-        if (err.message.includes("out of gas") || err.message.includes("gas required exceeds")) {
-          errorMessage = "Transaction failed: insufficient gas. Please try again.";
-        } else if (err.message.includes("user rejected") || err.message.includes("User denied")) {
-          errorMessage = "Transaction rejected by user";
-        } else {
-          errorMessage = `Voting failed: ${err.message}`;
-        }
+      console.error("❌ [Vote] Error:", err);
+      if (err?.simulationFailed) {
+        // Usually a cooldown or pause this tab didn't know about yet
+        await refreshAfterVote();
+        showMessage(`Vote not sent. ${getTransactionErrorMessage(err, "The vote would fail", targetConfig.abi)}`, "error");
+      } else if (isTransactionTimeout(err)) {
+        await refreshAfterVote();
+        showMessage(getTransactionErrorMessage(err, "Voting failed", targetConfig.abi), "warning");
+      } else {
+        showMessage(getTransactionErrorMessage(err, "Voting failed", targetConfig.abi), "error");
       }
-
-      showMessage(errorMessage, "error");
-      console.error("Full error details:", err);
     } finally {
       setLoading((prev) => ({ ...prev, voting: false }));
     }
-  }, [contract, account, networkCorrect, showMessage, walletType, walletClient, fetchWalletConnectState, activeNetworkKey, selectedNetwork, selectedNetworkConfig.label, getNetworkClient, provider]);
+  }, [account, networkCorrect, isPaused, showMessage, walletType, fetchRefundStats, activeNetworkKey, selectedNetwork, selectedNetworkConfig.label, getNetworkClient, applyVoteState, transactionService]);
 
   const disconnectWallet = useCallback(() => {
     setIsDisconnecting(true);
@@ -1919,7 +1299,6 @@ function App() {
     // Сбрасываем все состояния синхронно
     setAccount(null);
     setProvider(null);
-    setContract(null);
     setNetworkCorrect(null);
     setCanVote(false);
     setTimeLeft(null);
@@ -1943,13 +1322,6 @@ function App() {
       return;
     }
 
-    // Validate donation address
-    const donationAddress = getDonationAddress();
-    if (!donationAddress) {
-      showMessage("Donation address not configured", "error");
-      return;
-    }
-
     // Validate account address
     if (!isValidAddress(account)) {
       showMessage("Invalid account address", "error");
@@ -1959,120 +1331,309 @@ function App() {
     const networkKey = walletType === 'walletconnect' ? activeNetworkKey : selectedNetwork;
     const targetConfig = networkKey ? NETWORKS[networkKey] : null;
 
+    // Donation address comes from config.json or REACT_APP_DONATION_ADDRESS (validated in networks.js)
+    const donationAddress = targetConfig?.donationAddress;
+    if (!donationAddress) {
+      showMessage("Donation address not configured", "error");
+      return;
+    }
+
     try {
       setLoading((prev) => ({ ...prev, donation: true }));
 
       // Get donation amount based on network
-      const donationInfo = getDonationInfo(networkKey || 'mainnet');
+      const donationInfo = getDonationInfo(networkKey || DEFAULT_NETWORK_KEY);
       const donationAmount = donationInfo.amount;
       let donationValue;
       try {
-        donationValue = ethers.parseEther(donationAmount);
-        // Additional safety check: ensure value is reasonable
-        const maxAmount = networkKey === 'ethMainnet' || networkKey === 'sepolia'
-          ? ethers.parseEther("100")
-          : ethers.parseEther("1000");
-        if (donationValue <= 0n || donationValue > maxAmount) {
-          throw new Error("Invalid donation amount");
-        }
+        donationValue = parseNativeAmount(donationAmount, targetConfig);
       } catch (parseErr) {
         showMessage("Invalid donation amount", "error");
         console.error("Donation amount parsing error:", parseErr);
         return;
       }
 
-      if (walletType === 'walletconnect') {
-        if (!walletClient) {
-          showMessage("WalletConnect client not ready", "error");
-          return;
-        }
-        if (!targetConfig) {
-          showMessage("Unsupported network", "error");
-          return;
-        }
-        if (walletClient.chain?.id !== targetConfig.chainId) {
-          const networkName = networkKey === 'ethMainnet' || networkKey === 'sepolia'
-            ? targetConfig.label
-            : `${targetConfig.label}`;
-          showMessage(`Please switch to ${networkName}`, "error");
-          return;
-        }
+      await transactionService.sendValue({
+        config: targetConfig,
+        to: donationAddress,
+        value: donationValue,
+        label: "Donate",
+      });
+      showMessage("Thanks for donating!", "success");
+    } catch (err) {
+      showMessage(getTransactionErrorMessage(err, "Donation failed", targetConfig?.abi), isTransactionTimeout(err) ? "warning" : "error");
+      console.error("Donation error:", err);
+    } finally {
+      setLoading((prev) => ({ ...prev, donation: false }));
+    }
+  }, [account, walletType, activeNetworkKey, selectedNetwork, showMessage, getDonationInfo, transactionService]);
 
-        const client = getNetworkClient(networkKey);
-        if (!client) {
-          showMessage("Unable to initialize network client", "error");
-          return;
-        }
+  // Send a state-changing call to the HappyVote contract on the wallet's network.
+  // Returns the receipt on success, throws on failure.
+  const sendContractWrite = useCallback(async ({ functionName, args = [], value, label = functionName }) => {
+    if (!networkCorrect) {
+      throw new Error(`Connect to ${selectedNetworkConfig.label}`);
+    }
+    const targetConfig = transactionNetworkKey ? NETWORKS[transactionNetworkKey] : null;
+    if (!targetConfig || targetConfig.contractAddress === ZERO_ADDRESS) {
+      throw new Error("Contract address missing for this network");
+    }
+    return transactionService.writeContract({ config: targetConfig, functionName, args, value, label });
+  }, [networkCorrect, selectedNetworkConfig.label, transactionNetworkKey, transactionService]);
 
-        // Validate wallet account address
-        const walletAccount = walletClient.account?.address ?? account;
-        if (!isValidAddress(walletAccount)) {
-          showMessage("Invalid wallet account address", "error");
-          return;
-        }
+  // Owner-only contract state for the admin console
+  const fetchAdminState = useCallback(async (networkKey) => {
+    const config = NETWORKS[networkKey];
+    if (
+        !config ||
+        config.contractAddress === ZERO_ADDRESS ||
+        !isValidAddress(config.contractAddress) ||
+        !isValidAbi(config.abi) ||
+        !hasAbiFunction(config.abi, 'owner')
+    ) {
+      setAdminState(null);
+      return;
+    }
 
-        const txHash = await walletClient.sendTransaction({
-          to: donationAddress,
-          value: donationValue,
-          account: walletAccount,
-        });
-        await client.waitForTransactionReceipt({ hash: txHash });
-        showMessage("Thanks for donating!", "success");
-        return;
-      }
+    const client = getNetworkClient(networkKey);
+    if (!client) {
+      setAdminState(null);
+      return;
+    }
 
-      if (!provider) {
-        showMessage("Connect wallet first", "error");
-        return;
-      }
+    const adminFunctions = ['owner', 'paused', 'topN', 'refundEnabled', 'maxRefundPerVoteWei', 'totalRefunded']
+      .filter((functionName) => hasAbiFunction(config.abi, functionName));
 
-      const signer = await provider.getSigner();
-      const tx = await signer.sendTransaction({
-        to: donationAddress,
-        value: donationValue,
+    try {
+      const [results, balance] = await Promise.all([
+        batchReadContract({ client, config, calls: adminFunctions.map((functionName) => ({ functionName })) }),
+        client.getBalance({ address: config.contractAddress }),
+      ]);
+      const values = {};
+      adminFunctions.forEach((functionName, index) => {
+        if (results[index].status !== 'success') throw results[index].error;
+        values[functionName] = results[index].result;
+      });
+      const {
+        owner = null,
+        paused = null,
+        topN = null,
+        refundEnabled: refundOn = null,
+        maxRefundPerVoteWei: maxRefund = null,
+        totalRefunded = null,
+      } = values;
+
+      setAdminState({
+        networkKey,
+        owner: isValidAddress(owner) ? owner : null,
+        paused: paused == null ? null : Boolean(paused),
+        topN: topN == null ? null : safeNumber(topN),
+        refundEnabled: refundOn == null ? null : Boolean(refundOn),
+        maxRefundPerVoteWei: maxRefund ?? null,
+        totalRefunded: totalRefunded ?? null,
+        balance: balance ?? 0n,
       });
-      await tx.wait();
-      showMessage("Thanks for donating!", "success");
     } catch (err) {
-      // Don't expose sensitive error details to users
-      let errorMessage = "Donation failed";
-      if (err?.message) {
-        if (err.message.includes("user rejected") || err.message.includes("User denied")) {
-          errorMessage = "Transaction rejected by user";
-        } else if (err.message.includes("insufficient funds")) {
-          errorMessage = "Insufficient funds for donation";
-        }
+      console.warn(`Failed to fetch admin state for ${networkKey}:`, err);
+      setAdminState(null);
+    }
+  }, [getNetworkClient]);
+
+  useEffect(() => {
+    if (!account || !transactionNetworkKey) {
+      setAdminState(null);
+      return;
+    }
+    fetchAdminState(transactionNetworkKey);
+  }, [account, transactionNetworkKey, fetchAdminState]);
+
+  const runAdminAction = useCallback(async (functionName, args, successText) => {
+    try {
+      setLoading((prev) => ({ ...prev, admin: true }));
+      await sendContractWrite({ functionName, args, label: `Admin ${functionName}` });
+      showMessage(successText || "Transaction confirmed", "success");
+    } catch (err) {
+      console.error(`Admin action ${functionName} failed:`, err);
+      showMessage(getTransactionErrorMessage(err, "Admin action failed", NETWORKS[transactionNetworkKey]?.abi), "error");
+    } finally {
+      setLoading((prev) => ({ ...prev, admin: false }));
+      if (transactionNetworkKey) {
+        await fetchAdminState(transactionNetworkKey);
+        fetchRefundStats(transactionNetworkKey);
       }
-      showMessage(errorMessage, "error");
-      console.error("Donation error:", err);
+      if (walletType === 'walletconnect') {
+        await fetchWalletConnectState(transactionNetworkKey);
+      } else {
+        await fetchSelectedNetworkStats();
+      }
+    }
+  }, [sendContractWrite, showMessage, fetchAdminState, fetchRefundStats, transactionNetworkKey, walletType, fetchWalletConnectState, fetchSelectedNetworkStats]);
+
+  useEffect(() => {
+    if (!transactionNetworkKey) {
+      setRefundStats(null);
+      return;
+    }
+    fetchRefundStats(transactionNetworkKey);
+  }, [transactionNetworkKey, fetchRefundStats]);
+
+  const claimRefund = useCallback(async () => {
+    const networkConfig = transactionNetworkKey ? NETWORKS[transactionNetworkKey] : null;
+    if (!refundStats || !networkConfig || refundStats.networkKey !== transactionNetworkKey) {
+      showMessage("Refund data is not available for this network", "error");
+      return;
+    }
+    if (!refundStats.userOwed || refundStats.userOwed <= 0n) {
+      showMessage(getRevertMessage("No refund owed"), "error");
+      return;
+    }
+    if (refundStats.balance < refundStats.userOwed) {
+      showMessage(getRevertMessage("Insufficient contract balance"), "error");
+      return;
+    }
+
+    const { decimals, symbol } = networkConfig.nativeCurrency;
+    const claimedText = `${ethers.formatUnits(refundStats.userOwed, decimals)} ${symbol}`;
+
+    try {
+      setLoading((prev) => ({ ...prev, refund: true }));
+      await sendContractWrite({ functionName: "claimRefund", label: "Claim Refund" });
+      showMessage(`Refund of ${claimedText} claimed`, "success");
+    } catch (err) {
+      console.error("Claim refund failed:", err);
+      showMessage(getTransactionErrorMessage(err, "Refund claim failed", NETWORKS[transactionNetworkKey]?.abi), "error");
     } finally {
-      setLoading((prev) => ({ ...prev, donation: false }));
+      setLoading((prev) => ({ ...prev, refund: false }));
+      await fetchRefundStats(transactionNetworkKey);
+    }
+  }, [refundStats, transactionNetworkKey, sendContractWrite, showMessage, fetchRefundStats]);
+
+  const depositToRefundPool = useCallback(async (amountText) => {
+    if (!account) {
+      showMessage("Connect wallet first", "error");
+      return false;
+    }
+
+    let depositValue;
+    try {
+      depositValue = parseNativeAmount(amountText, NETWORKS[transactionNetworkKey]);
+    } catch (parseErr) {
+      showMessage("Invalid deposit amount", "error");
+      console.error("Deposit amount parsing error:", parseErr);
+      return false;
     }
-  }, [provider, account, walletType, walletClient, activeNetworkKey, selectedNetwork, showMessage, getNetworkClient, getDonationInfo]);
 
+    try {
+      setLoading((prev) => ({ ...prev, deposit: true }));
+      await sendContractWrite({ functionName: "deposit", value: depositValue, label: "Deposit" });
+      showMessage("Thanks for funding gas refunds!", "success");
+      return true;
+    } catch (err) {
+      console.error("Refund pool deposit failed:", err);
+      showMessage(getTransactionErrorMessage(err, "Deposit failed", NETWORKS[transactionNetworkKey]?.abi), "error");
+      return false;
+    } finally {
+      setLoading((prev) => ({ ...prev, deposit: false }));
+      if (transactionNetworkKey) {
+        await fetchRefundStats(transactionNetworkKey);
+      }
+    }
+  }, [account, transactionNetworkKey, sendContractWrite, showMessage, fetchRefundStats]);
+
+  const isContractOwner = Boolean(
+    account &&
+    adminState?.owner &&
+    adminState.networkKey === transactionNetworkKey &&
+    adminState.owner.toLowerCase() === account.toLowerCase()
+  );
+
+  // Network the URL was last synced to; see the back/forward effect below
+  const routeNetworkRef = useRef(route.network);
   const handleNetworkChange = useCallback((networkKey) => {
     if (!NETWORKS[networkKey]) return;
+    const previousNetwork = selectedNetwork;
     // Clear all stats immediately when switching networks to prevent showing old data
     setLeaderboard([]);
     setHappyVotes(0);
     setSadVotes(0);
+    setIsPaused(false);
     setSelectedNetwork(networkKey);
     setIsNetworkDropdownOpen(false);
 
     if (account) {
+      // The URL follows the wallet: it only moves once the switch went through
       pendingNetworkRef.current = networkKey;
-      switchNetwork(networkKey).finally(() => {
-        pendingNetworkRef.current = null;
-      });
-    } else if (walletType === 'metamask' && provider) {
-      checkNetwork(provider, networkKey);
+      switchNetwork(networkKey)
+        .then((switched) => {
+          // Built from the URL as it is now: the user may have changed pages during the wallet prompt
+          if (switched) {
+            navigate((current) => ({ ...current, network: networkKey }));
+            return;
+          }
+          // Rejected or failed: stay on the previous network, including a URL that back/forward already changed
+          setSelectedNetwork(previousNetwork);
+          routeNetworkRef.current = previousNetwork;
+          navigate((current) => ({ ...current, network: previousNetwork }), { replace: true });
+        })
+        .finally(() => {
+          pendingNetworkRef.current = null;
+        });
+    } else {
+      navigate((current) => ({ ...current, network: networkKey }));
+      if (walletType === 'metamask' && provider) {
+        checkNetwork(provider, networkKey);
+      }
     }
-  }, [account, walletType, provider, checkNetwork, switchNetwork]);
+  }, [account, walletType, provider, checkNetwork, switchNetwork, selectedNetwork, navigate]);
+
+  // Back/forward navigation between /:network paths switches the network too
+  useEffect(() => {
+    if (route.network === routeNetworkRef.current) return;
+    routeNetworkRef.current = route.network;
+    if (NETWORKS[route.network] && route.network !== selectedNetwork) {
+      handleNetworkChange(route.network);
+    }
+  }, [route.network, selectedNetwork, handleNetworkChange]);
+
+  // Keep the URL canonical: unknown or missing network segments are replaced by the active network
+  useEffect(() => {
+    if (!NETWORKS[route.network]) {
+      navigate({ ...route, network: selectedNetwork }, { replace: true });
+    }
+  }, [route, selectedNetwork, navigate]);
+
+  // Deep-linked sections scroll into view once they are rendered
+  useEffect(() => {
+    const sectionIds = { leaderboard: 'leaderboard', address: 'my-moods', admin: 'owner-console' };
+    const sectionId = sectionIds[route.view];
+    if (!sectionId || typeof document === 'undefined') return;
+    const section = document.getElementById(sectionId);
+    if (section) section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }, [route.view, route.address, isContractOwner, networkCorrect]);
+
+  const handleRouteLink = useCallback((e, nextRoute) => {
+    e.preventDefault();
+    navigate(nextRoute);
+  }, [navigate]);
 
   const handleConnectWallet = useCallback(() => {
     if (account) return;
+    if (isDemoMode()) {
+      connectMetaMask();
+      return;
+    }
     openConnectModal();
-  }, [account]);
+  }, [account, connectMetaMask]);
+
+  // Demo mode: move the in-memory chains' clock forward and re-read the cooldown
+  const handleDemoFastForward = useCallback(async (seconds) => {
+    fastForwardDemoTime(seconds);
+    if (account && provider) {
+      await initContract(provider, account, selectedNetwork);
+    } else {
+      await fetchSelectedNetworkStats();
+    }
+  }, [account, provider, initContract, selectedNetwork, fetchSelectedNetworkStats]);
 
   // Обработка подключения через WalletConnect
   useEffect(() => {
@@ -2109,16 +1670,8 @@ function App() {
       const detectedType = detectWalletType();
 
       // Проверяем, подключен ли MetaMask или Rabby Wallet напрямую через window.ethereum
-      if (window.ethereum && (detectedType === 'metamask' || detectedType === 'rabby')) {
-        // Get the correct provider if multiple wallets are installed
-        let ethereumProvider = window.ethereum;
-        if (window.ethereum.providers) {
-          if (detectedType === 'rabby') {
-            ethereumProvider = window.ethereum.providers.find(p => p.isRabby) || window.ethereum;
-          } else if (detectedType === 'metamask') {
-            ethereumProvider = window.ethereum.providers.find(p => p.isMetaMask) || window.ethereum;
-          }
-        }
+      const ethereumProvider = getInjectedProvider();
+      if (ethereumProvider && (detectedType === 'metamask' || detectedType === 'rabby')) {
 
         // Проверяем, есть ли активные аккаунты
         ethereumProvider.request({ method: 'eth_accounts' })
@@ -2184,19 +1737,8 @@ function App() {
 
   // Автообновление сети при изменении
   useEffect(() => {
-    if (!window.ethereum || walletType === 'walletconnect') return;
-
-    // Get the correct provider if multiple wallets are installed
-    let ethereumProvider = window.ethereum;
-    const detectedType = detectWalletType();
-
-    if (window.ethereum.providers) {
-      if (detectedType === 'rabby') {
-        ethereumProvider = window.ethereum.providers.find(p => p.isRabby) || window.ethereum;
-      } else if (detectedType === 'metamask') {
-        ethereumProvider = window.ethereum.providers.find(p => p.isMetaMask) || window.ethereum;
-      }
-    }
+    const ethereumProvider = getInjectedProvider();
+    if (!ethereumProvider || walletType === 'walletconnect') return;
 
     const handleAccountsChanged = (accounts) => {
       // Don't process account changes during network switch
@@ -2446,10 +1988,42 @@ function App() {
   const sadPercent = totalVotes ? 100 - happyPercent : 0;
   const topLeaderboard = leaderboard.slice(0, 10);
   const extraLeaderboard = leaderboard.slice(10);
+  const leaderboardHasHistory = hasVotedEvent(displayNetworkConfig);
+  const getLeaderboardLinkProps = (address) => ({
+    href: buildPath({ network: selectedNetwork, view: 'address', address }),
+    onClick: (e) => handleRouteLink(e, { network: selectedNetwork, view: 'address', address }),
+  });
 
-  const NetworkIcon = ({ isMainnet, networkKey }) => {
+  // Pinned "Your position" row: the rank as listed when the account is on the board, otherwise
+  // how many more happy votes it takes to pass the last entry (any vote will do while there's room)
+  const yourPosition = (() => {
+    if (
+        !account ||
+        !userPosition ||
+        userPosition.networkKey !== displayNetworkConfig?.key ||
+        userPosition.account.toLowerCase() !== account.toLowerCase()
+    ) {
+      return null;
+    }
+    const listIndex = leaderboard.findIndex((row) => row.address.toLowerCase() === account.toLowerCase());
+    if (listIndex >= 0) return { rank: listIndex + 1, happyVotes: leaderboard[listIndex].happyVotes };
+    // The list is the whole on-chain board, so an account missing from it has fallen off even if
+    // the last read still had it on; the read's index only counts while the list is empty (loading)
+    if (userPosition.index > 0 && leaderboard.length === 0) return { rank: userPosition.index, happyVotes: userPosition.happyVotes };
+
+    const lastEntry = leaderboard[leaderboard.length - 1];
+    const boardFull = Boolean(lastEntry) && userPosition.topN != null && leaderboard.length >= userPosition.topN;
+    return {
+      rank: null,
+      happyVotes: userPosition.happyVotes,
+      lastEntry: boardFull ? lastEntry : null,
+      votesNeeded: boardFull ? Math.max(1, lastEntry.happyVotes - userPosition.happyVotes + 1) : 1,
+    };
+  })();
+
+  const NetworkIcon = ({ network }) => {
     // Для Ethereum Mainnet показываем цветную иконку Ethereum
-    if (networkKey === 'ethMainnet') {
+    if (network.icon === 'ethereum' && !network.testnet) {
       return (
         <svg width="20" height="20" viewBox="0 0 115 182" xmlns="http://www.w3.org/2000/svg" fill="none">
           <path fill="#F0CDC2" stroke="#1616B4" d="M57.505 181v-45.16L1.641 103.171z"></path>
@@ -2462,8 +2036,8 @@ function App() {
       );
     }
 
-    // Для Sepolia показываем иконку Ethereum (серая)
-    if (networkKey === 'sepolia') {
+    // Для тестнетов Ethereum (Sepolia) показываем серую иконку Ethereum
+    if (network.icon === 'ethereum') {
       return (
         <svg width="20" height="20" viewBox="0 0 256 417" xmlns="http://www.w3.org/2000/svg" preserveAspectRatio="xMidYMid">
           <path fill="#9CA3AF" d="M127.961 0l-2.795 9.5v275.668l2.795 2.79 127.962-75.638z"/>
@@ -2477,7 +2051,7 @@ function App() {
     }
 
     // Для Base показываем иконку Base
-    if (networkKey === 'baseMainnet') {
+    if (network.icon === 'base') {
       return (
         <svg width="20" height="20" viewBox="0 0 249 249" fill="none" xmlns="http://www.w3.org/2000/svg">
           <path d="M0 19.671C0 12.9332 0 9.56425 1.26956 6.97276C2.48511 4.49151 4.49151 2.48511 6.97276 1.26956C9.56425 0 12.9332 0 19.671 0H229.329C236.067 0 239.436 0 242.027 1.26956C244.508 2.48511 246.515 4.49151 247.73 6.97276C249 9.56425 249 12.9332 249 19.671V229.329C249 236.067 249 239.436 247.73 242.027C246.515 244.508 244.508 246.515 242.027 247.73C239.436 249 236.067 249 229.329 249H19.671C12.9332 249 9.56425 249 6.97276 247.73C4.49151 246.515 2.48511 244.508 1.26956 242.027C0 239.436 0 236.067 0 229.329V19.671Z" fill="#0000FF"/>
@@ -2487,7 +2061,7 @@ function App() {
 
     // Для других сетей показываем иконку Monad
     let iconColor = "#9CA3AF"; // Default gray for testnet
-    if (isMainnet) {
+    if (!network.testnet) {
       iconColor = "#836EF9"; // Purple for mainnet
     }
 
@@ -2522,8 +2096,8 @@ function App() {
                   onClick={() => setIsNetworkDropdownOpen(!isNetworkDropdownOpen)}
                   disabled={isWalletConnectLocked}
               >
-                <NetworkIcon isMainnet={selectedNetwork === 'mainnet'} networkKey={selectedNetwork} />
-                <span>{(selectedNetwork === 'sepolia' || selectedNetwork === 'ethMainnet') ? selectedNetworkConfig.label : `${selectedNetworkConfig.label}`}</span>
+                <NetworkIcon network={selectedNetworkConfig} />
+                <span>{selectedNetworkConfig.label}</span>
                 <svg width="12" height="12" viewBox="0 0 12 12" fill="none" xmlns="http://www.w3.org/2000/svg" className="dropdown-arrow">
                   <path d="M6 9L1 4H11L6 9Z" fill="currentColor"/>
                 </svg>
@@ -2536,8 +2110,8 @@ function App() {
                             className={`network-dropdown-item ${selectedNetwork === network.key ? 'active' : ''}`}
                             onClick={() => handleNetworkChange(network.key)}
                         >
-                          <NetworkIcon isMainnet={network.key === 'mainnet'} networkKey={network.key} />
-                          <span>{(network.key === 'sepolia' || network.key === 'ethMainnet') ? network.label : `${network.label}`}</span>
+                          <NetworkIcon network={network} />
+                          <span>{network.label}</span>
                         </button>
                     ))}
                   </div>
@@ -2575,6 +2149,10 @@ function App() {
             </div>
         )}
 
+        <ConfigNotice errors={configErrors} networkConfig={displayNetworkConfig} />
+
+        {isDemoMode() && <DemoControls onFastForward={handleDemoFastForward} />}
+
         {account && networkCorrect === false && (
             <div className="network-warning">
               ⚠️ Wrong network<br/>
@@ -2590,9 +2168,10 @@ function App() {
 
         <div className="title-row">
           <h1 className="app-title">Make the world happier 🌍</h1>
-          <span className={`network-badge ${displayNetworkKey === 'mainnet' || displayNetworkKey === 'ethMainnet' ? 'badge-mainnet' : 'badge-testnet'}`}>
+          <span className={`network-badge ${displayNetworkConfig?.testnet ? 'badge-testnet' : 'badge-mainnet'}`}>
             {displayNetworkConfig?.label || 'Mainnet'}
           </span>
+          <RpcStatus pool={selectedRpcPool} />
           {refundEnabled ? (
               <div
                 className={`refund-badge-container ${tooltipVisible ? 'tooltip-visible' : ''}`}
@@ -2612,21 +2191,27 @@ function App() {
         </div>
 
         <p className="app-description">
-          The app is designed to highlight the abundance of positivity around us and to track the overall mood of users across the {displayNetworkKey === 'sepolia' ? 'Sepolia' : displayNetworkKey === 'ethMainnet' ? 'Ethereum' : displayNetworkKey === 'baseMainnet' ? 'Base' : displayNetworkKey === 'testnet' ? 'Monad Testnet' : 'Monad'} network.
+          The app is designed to highlight the abundance of positivity around us and to track the overall mood of users across the {displayNetworkConfig.label} network.
         </p>
 
         <div className="vote-section">
+          {isPaused && (
+              <div className="paused-banner">
+                ⏸️ Voting paused on {displayNetworkConfig?.label}. The contract owner has temporarily stopped new votes.
+              </div>
+          )}
+
           <div className="vote-buttons">
             <button
                 onClick={() => vote(true)}
-                disabled={!account || !canVote || loading.voting}
+                disabled={!account || !canVote || isPaused || loading.voting}
                 className="happy-button"
             >
               😊 I'm Happy
             </button>
             <button
                 onClick={() => vote(false)}
-                disabled={!account || !canVote || loading.voting}
+                disabled={!account || !canVote || isPaused || loading.voting}
                 className="sad-button"
             >
               😢 I'm Sad
@@ -2644,60 +2229,258 @@ function App() {
               </div>
           )}
 
+          {account && statsNetworkConfig && hasVotedEvent(statsNetworkConfig) && statsNetworkConfig.contractAddress !== ZERO_ADDRESS && (
+              <VoteStreak
+                  networkConfig={statsNetworkConfig}
+                  client={getNetworkClient(statsNetworkConfig.key)}
+                  account={account}
+                  refreshKey={sentVotes}
+              />
+          )}
+
           <div className="mood-box">
-            <h3>Current Mood</h3>
+            <h3>
+              Current Mood
+              {liveMode && (
+                  <span
+                      className="live-indicator"
+                      title={liveMode === 'filter' ? "Live updates via event filter" : "Live updates via log polling"}
+                  >
+                    ● Live
+                  </span>
+              )}
+            </h3>
             <div className="happiness-meter-container">
               <div className="happiness-meter-happy" style={{ width: `${happyPercent}%` }}></div>
               <div className="happiness-meter-sad" style={{ width: `${sadPercent}%` }}></div>
             </div>
             <div className="happiness-meter-labels">
-              <span>😊 Happy ({happyPercent}%)</span>
-              <span>😢 Sad ({sadPercent}%)</span>
+              <span>😊 Happy ({happyPercent}%) · <AnimatedCount value={happyVotes} /></span>
+              <span>😢 Sad ({sadPercent}%) · <AnimatedCount value={sadVotes} /></span>
             </div>
-            <p>Total votes: <strong>{totalVotes}</strong></p>
+            <p>Total votes: <strong><AnimatedCount value={totalVotes} /></strong></p>
           </div>
 
+          <WorldMood networks={NETWORK_LIST} getClient={getNetworkClient} />
+
+          {statsNetworkConfig && hasVotedEvent(statsNetworkConfig) && statsNetworkConfig.contractAddress !== ZERO_ADDRESS && (
+              <MoodTimeline
+                  key={statsNetworkConfig.key}
+                  networkConfig={statsNetworkConfig}
+                  client={getNetworkClient(statsNetworkConfig.key)}
+              />
+          )}
+
+          {statsNetworkConfig && hasVotedEvent(statsNetworkConfig) && statsNetworkConfig.contractAddress !== ZERO_ADDRESS && (
+              <MyMoods
+                  key={`moods-${statsNetworkConfig.key}`}
+                  networkConfig={statsNetworkConfig}
+                  client={getNetworkClient(statsNetworkConfig.key)}
+                  account={account}
+                  id="my-moods"
+                  routeAddress={route.view === 'address' ? route.address : null}
+                  onLookup={(lookup) => navigate(lookup
+                      ? { network: selectedNetwork, view: 'address', address: lookup }
+                      : { network: selectedNetwork, view: 'home' })}
+              />
+          )}
+
+          {statsNetworkConfig && statsNetworkConfig.contractAddress !== ZERO_ADDRESS && (
+              <AddressLookup
+                  key={`lookup-${statsNetworkConfig.key}`}
+                  id="address-lookup"
+                  networkConfig={statsNetworkConfig}
+                  client={getNetworkClient(statsNetworkConfig.key)}
+                  ensClient={ENS_NETWORK && !isDemoMode() ? getNetworkClient(ENS_NETWORK.key) : null}
+                  formatTime={formatTime}
+                  onOpenCalendar={hasVotedEvent(statsNetworkConfig)
+                      ? (address) => navigate({ network: selectedNetwork, view: 'address', address })
+                      : null}
+              />
+          )}
+
           {displayNetworkConfig?.hasLeaderboard && (
-              <div className="leaderboard">
+              <div className="leaderboard" id="leaderboard">
                 <div className="leaderboard-header">
-                  <h3>Happy Leaderboard</h3>
+                  <h3>
+                    <a
+                        href={buildPath({ network: selectedNetwork, view: 'leaderboard' })}
+                        onClick={(e) => handleRouteLink(e, { network: selectedNetwork, view: 'leaderboard' })}
+                    >
+                      Happy Leaderboard
+                    </a>
+                  </h3>
                   <span>Top smiles on {displayNetworkConfig?.label}</span>
                 </div>
 
-                {topLeaderboard.length === 0 ? (
-                    <p className="leaderboard-empty">Be the first happy voter on {displayNetworkConfig?.label}!</p>
+                {leaderboardHasHistory && (
+                    <div className="timeline-ranges leaderboard-tabs">
+                      {LEADERBOARD_TABS.map((tab) => (
+                          <button
+                              key={tab.key}
+                              className={`timeline-range-button ${leaderboardTab === tab.key ? 'active' : ''}`}
+                              onClick={() => setLeaderboardTab(tab.key)}
+                          >
+                            {tab.label}
+                          </button>
+                      ))}
+                    </div>
+                )}
+
+                {leaderboardHasHistory && leaderboardTab === 'happy' && (
+                    <div className="timeline-ranges leaderboard-views">
+                      <button
+                          className={`timeline-range-button ${leaderboardView === 'onchain' ? 'active' : ''}`}
+                          onClick={() => setLeaderboardView('onchain')}
+                      >
+                        On-chain board
+                      </button>
+                      <button
+                          className={`timeline-range-button ${leaderboardView === 'full' ? 'active' : ''}`}
+                          onClick={() => setLeaderboardView('full')}
+                      >
+                        All voters
+                      </button>
+                    </div>
+                )}
+
+                {leaderboardHasHistory && leaderboardTab !== 'happy' ? (
+                    <HistoryLeaderboard
+                        key={`${leaderboardTab}-leaderboard-${displayNetworkConfig.key}`}
+                        networkConfig={displayNetworkConfig}
+                        client={getNetworkClient(displayNetworkConfig.key)}
+                        metric={leaderboardTab}
+                        refreshKey={happyVotes + sadVotes}
+                        formatAddressShort={formatAddressShort}
+                        getAddressLinkProps={getLeaderboardLinkProps}
+                    />
+                ) : leaderboardHasHistory && leaderboardView === 'full' ? (
+                    <FullLeaderboard
+                        key={`full-leaderboard-${displayNetworkConfig.key}`}
+                        networkConfig={displayNetworkConfig}
+                        client={getNetworkClient(displayNetworkConfig.key)}
+                        account={account}
+                        refreshKey={happyVotes + sadVotes}
+                        formatAddressShort={formatAddressShort}
+                        getAddressLinkProps={getLeaderboardLinkProps}
+                    />
                 ) : (
                     <>
-                      <ol className="leaderboard-list">
-                        {topLeaderboard.map((row, index) => (
-                            <li key={`${row.address}-${index}`}>
-                              <span className="leaderboard-rank">#{index + 1}</span>
-                              <span className="leaderboard-address">{formatAddressShort(row.address)}</span>
-                              <span className="leaderboard-votes">{row.happyVotes} 😊</span>
-                            </li>
-                        ))}
-                      </ol>
-
-                      {extraLeaderboard.length > 0 && (
-                          <details className="leaderboard-extra">
-                            <summary>Show the rest ({extraLeaderboard.length})</summary>
-                            <div className="leaderboard-scroll">
-                              <ol start={11}>
-                                {extraLeaderboard.map((row, index) => (
-                                    <li key={`${row.address}-${index + 10}`}>
-                                      <span className="leaderboard-rank">#{index + 11}</span>
-                                      <span className="leaderboard-address">{formatAddressShort(row.address)}</span>
-                                      <span className="leaderboard-votes">{row.happyVotes} 😊</span>
-                                    </li>
-                                ))}
-                              </ol>
+                      {topLeaderboard.length === 0 ? (
+                          <p className="leaderboard-empty">Be the first happy voter on {displayNetworkConfig?.label}!</p>
+                      ) : (
+                          <>
+                            <ol className="leaderboard-list">
+                              {topLeaderboard.map((row, index) => (
+                                  <li key={`${row.address}-${index}`}>
+                                    <span className="leaderboard-rank">#{index + 1}</span>
+                                    <a
+                                        className="leaderboard-address"
+                                        href={buildPath({ network: selectedNetwork, view: 'address', address: row.address })}
+                                        onClick={(e) => handleRouteLink(e, { network: selectedNetwork, view: 'address', address: row.address })}
+                                    >
+                                      {formatAddressShort(row.address)}
+                                    </a>
+                                    <span className="leaderboard-votes">{row.happyVotes} 😊</span>
+                                  </li>
+                              ))}
+                            </ol>
+
+                            {extraLeaderboard.length > 0 && (
+                                <details className="leaderboard-extra">
+                                  <summary>Show the rest ({extraLeaderboard.length})</summary>
+                                  <div className="leaderboard-scroll">
+                                    <ol start={11}>
+                                      {extraLeaderboard.map((row, index) => (
+                                          <li key={`${row.address}-${index + 10}`}>
+                                            <span className="leaderboard-rank">#{index + 11}</span>
+                                            <a
+                                                className="leaderboard-address"
+                                                href={buildPath({ network: selectedNetwork, view: 'address', address: row.address })}
+                                                onClick={(e) => handleRouteLink(e, { network: selectedNetwork, view: 'address', address: row.address })}
+                                            >
+                                              {formatAddressShort(row.address)}
+                                            </a>
+                                            <span className="leaderboard-votes">{row.happyVotes} 😊</span>
+                                          </li>
+                                      ))}
+                                    </ol>
+                                  </div>
+                                </details>
+                            )}
+                          </>
+                      )}
+
+                      {yourPosition && (
+                          <div className="leaderboard-you">
+                            <div className="leaderboard-you-row">
+                              <span className="leaderboard-rank">{yourPosition.rank ? `#${yourPosition.rank}` : '—'}</span>
+                              <span className="leaderboard-address">Your position</span>
+                              <span className="leaderboard-votes">{yourPosition.happyVotes} 😊</span>
                             </div>
-                          </details>
+                            {!yourPosition.rank && (
+                                <p className="leaderboard-you-hint">
+                                  {yourPosition.lastEntry
+                                      ? `${yourPosition.votesNeeded} more happy vote${yourPosition.votesNeeded === 1 ? '' : 's'} to pass #${leaderboard.length} (${yourPosition.lastEntry.happyVotes} 😊)`
+                                      : 'Your next happy vote puts you on the board'}
+                                </p>
+                            )}
+                          </div>
                       )}
                     </>
                 )}
               </div>
           )}
+
+          {refundStats?.networkKey === transactionNetworkKey && (
+              <RefundPoolPanel
+                  networkConfig={NETWORKS[transactionNetworkKey]}
+                  refundStats={refundStats}
+                  canDeposit={Boolean(account && networkCorrect)}
+                  busy={loading.deposit}
+                  onDeposit={depositToRefundPool}
+              />
+          )}
+
+          {account && networkCorrect && refundStats?.networkKey === transactionNetworkKey && refundStats.account === account && (
+              <RefundPanel
+                  networkConfig={NETWORKS[transactionNetworkKey]}
+                  refundStats={refundStats}
+                  busy={loading.refund}
+                  onClaim={claimRefund}
+              />
+          )}
+
+          {route.view === 'admin' && !(isContractOwner && networkCorrect) && (
+              <p className="admin-hint" id="owner-console">
+                Connect the contract owner's wallet on {displayNetworkConfig?.label} to open the owner console.
+              </p>
+          )}
+
+          {isContractOwner && networkCorrect && (
+              <AdminPanel
+                  networkConfig={NETWORKS[transactionNetworkKey]}
+                  adminState={adminState}
+                  busy={loading.admin}
+                  onAction={runAdminAction}
+                  formatAddressShort={formatAddressShort}
+              />
+          )}
+
+          {!isDemoMode() && (
+              <RpcSettings
+                  id="rpc-settings"
+                  networks={NETWORK_LIST}
+                  customRpcUrls={customRpcUrls}
+                  onSave={(networkKey, url) => {
+                    updateCustomRpcUrl(networkKey, url);
+                    showMessage(`Custom RPC saved for ${NETWORKS[networkKey].label}. It bypasses the built-in whitelist.`, "warning");
+                  }}
+                  onRemove={(networkKey) => updateCustomRpcUrl(networkKey, null)}
+              />
+          )}
+
+          <DemoModeSettings id="demo-mode" />
         </div>
 
         <hr className="divider" />
@@ -0,0 +1,36 @@
+import React, { useState } from "react";
+import { ZERO_ADDRESS } from "./utils";
+
+// Deployment problems that would otherwise only show up as zero counts: invalid entries in
+// config.json / .env (already replaced by defaults) and a selected network with no contract
+function ConfigNotice({ errors, networkConfig }) {
+  const [dismissed, setDismissed] = useState(false);
+  const contractMissing = Boolean(networkConfig) && networkConfig.contractAddress === ZERO_ADDRESS;
+
+  if (!contractMissing && (dismissed || errors.length === 0)) return null;
+
+  return (
+    <div className="config-notice" role="alert">
+      {contractMissing && (
+        <p>
+          No HappyVote contract is configured for {networkConfig.label} in this deployment, so there are no votes to show.
+        </p>
+      )}
+      {!dismissed && errors.length > 0 && (
+        <>
+          <p>
+            <strong>Deployment config problems</strong>, using built-in defaults instead:
+            <button type="button" className="close-btn" onClick={() => setDismissed(true)} aria-label="Dismiss">×</button>
+          </p>
+          <ul>
+            {errors.map((error) => (
+              <li key={`${error.path}-${error.message}`}><code>{error.path}</code> {error.message}</li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ConfigNotice;
@@ -0,0 +1,55 @@
+import React, { useEffect, useState } from "react";
+import { getDemoTime, setDemoMode } from "./demoChain";
+
+const FAST_FORWARD_STEPS = [
+  { label: "+1 hour", seconds: 3600 },
+  { label: "+24 hours", seconds: 86400 },
+];
+
+// Banner shown in demo mode: the demo chain's clock, fast-forward buttons to get through the
+// 24h vote cooldown in seconds, and the way back to the real networks
+function DemoControls({ onFastForward }) {
+  const [now, setNow] = useState(getDemoTime);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(getDemoTime()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const handleFastForward = async (seconds) => {
+    setBusy(true);
+    try {
+      await onFastForward(seconds);
+    } finally {
+      setNow(getDemoTime());
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="demo-controls" role="status">
+      <p>
+        <strong>Demo mode</strong>: votes go to an in-memory chain in this tab, signed by a demo wallet.
+        Nothing is sent to a real network, and reloading the page starts over.
+      </p>
+      <div className="demo-controls-row">
+        <span className="timeline-status">Chain time {new Date(now * 1000).toLocaleString()}</span>
+        {FAST_FORWARD_STEPS.map((step) => (
+          <button
+            key={step.seconds}
+            type="button"
+            className="admin-button"
+            disabled={busy}
+            onClick={() => handleFastForward(step.seconds)}
+          >
+            {step.label}
+          </button>
+        ))}
+        <button type="button" className="admin-button" onClick={() => setDemoMode(false)}>Exit demo</button>
+      </div>
+    </div>
+  );
+}
+
+export default DemoControls;
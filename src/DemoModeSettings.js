@@ -0,0 +1,27 @@
+import React from "react";
+import { isDemoMode, setDemoMode } from "./demoChain";
+
+// Settings entry for demo mode; switching reloads the page, since the networks and the
+// wallet are set up for one mode at startup
+function DemoModeSettings({ id }) {
+  const enabled = isDemoMode();
+
+  return (
+    <details id={id} className="mood-timeline demo-settings">
+      <summary>Demo mode</summary>
+      <p className="timeline-status">
+        Try voting without a wallet or funds: every network is replaced by an in-memory chain with a
+        funded demo wallet that owns the contract, so the owner console works too. You can also open
+        the app with <code>?demo=1</code> in the URL.
+      </p>
+      <div className="admin-row">
+        <span className="timeline-status">{enabled ? "Demo mode is on" : "Demo mode is off"}</span>
+        <button type="button" className="admin-button" onClick={() => setDemoMode(!enabled)}>
+          {enabled ? "Exit demo" : "Start demo"}
+        </button>
+      </div>
+    </details>
+  );
+}
+
+export default DemoModeSettings;
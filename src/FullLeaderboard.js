@@ -0,0 +1,147 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { loadVoteHistory, loadRemovedMembers, rankHappyVoters, groupVotesByUser, FALLBACK_HISTORY_DAYS } from "./voteHistory";
+import { readHappyVoteCounts } from "./contractReads";
+
+const PAGE_SIZE = 20;
+
+// Every voter found in the Voted logs, not capped at topN and including entries cut by setTopN
+// or removeMember, ranked by the contract's own happyVoteCount so the numbers match the on-chain
+// board. Owner removals are marked until the address votes happy again and re-enters the board.
+function FullLeaderboard({ networkConfig, client, account, refreshKey, formatAddressShort, getAddressLinkProps }) {
+  const [state, setState] = useState({ status: 'loading', progress: 0, rows: [], removals: new Map(), isPartial: false, error: null });
+  const [query, setQuery] = useState("");
+  const [page, setPage] = useState(0);
+
+  useEffect(() => {
+    if (!client || !networkConfig) return undefined;
+
+    const controller = new AbortController();
+    // Keep the current ranking on screen while a refresh runs
+    setState((prev) => (prev.status === 'ready' ? prev : { ...prev, status: 'loading', error: null }));
+
+    Promise.all([
+      loadVoteHistory({
+        client,
+        config: networkConfig,
+        signal: controller.signal,
+        onProgress: (progress) => {
+          if (!controller.signal.aborted) {
+            setState((prev) => ({ ...prev, progress }));
+          }
+        },
+      }),
+      loadRemovedMembers({ client, config: networkConfig, signal: controller.signal }),
+    ])
+      .then(async ([{ votes, isPartial }, removals]) => {
+        const addresses = Array.from(groupVotesByUser(votes).values(), (voter) => voter.address);
+        const happyCounts = await readHappyVoteCounts({ client, config: networkConfig, addresses });
+        if (controller.signal.aborted) return;
+        setState({ status: 'ready', progress: 100, rows: rankHappyVoters(votes, happyCounts), removals, isPartial, error: null });
+      })
+      .catch((err) => {
+        if (controller.signal.aborted || err?.name === 'AbortError') return;
+        console.error(`Failed to rebuild the leaderboard for ${networkConfig.key}:`, err);
+        setState({ status: 'error', progress: 0, rows: [], removals: new Map(), isPartial: false, error: "Could not load vote history from this network's RPC" });
+      });
+
+    return () => controller.abort();
+  }, [client, networkConfig, refreshKey]);
+
+  const filteredRows = useMemo(() => {
+    const needle = query.trim().toLowerCase();
+    return needle ? state.rows.filter((row) => row.address.toLowerCase().includes(needle)) : state.rows;
+  }, [state.rows, query]);
+
+  const pageCount = Math.max(1, Math.ceil(filteredRows.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageRows = filteredRows.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE);
+
+  const removalFor = (row) => {
+    const removal = state.removals.get(row.address.toLowerCase());
+    if (!removal) return null;
+    // A happy vote after the removal puts the address back on the board
+    return row.lastHappyBlock == null || row.lastHappyBlock <= removal.blockNumber ? removal : null;
+  };
+
+  if (state.status === 'loading') {
+    return <p className="timeline-status">Scanning {networkConfig.label} votes... {state.progress}%</p>;
+  }
+  if (state.status === 'error') {
+    return <p className="timeline-status error">{state.error}</p>;
+  }
+  if (state.rows.length === 0) {
+    return <p className="leaderboard-empty">No votes on {networkConfig.label} yet.</p>;
+  }
+
+  return (
+    <div className="full-leaderboard">
+      {state.isPartial && (
+        <p className="timeline-status">
+          Only voters from the last {FALLBACK_HISTORY_DAYS} days are listed: {networkConfig.label}'s RPC couldn't find when the contract was deployed.
+        </p>
+      )}
+      <div className="admin-row my-moods-search">
+        <input
+          type="text"
+          placeholder="Search by address (0x...)"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setPage(0);
+          }}
+          spellCheck={false}
+        />
+      </div>
+
+      {filteredRows.length === 0 ? (
+        <p className="leaderboard-empty">No voter matches "{query.trim()}".</p>
+      ) : (
+        <ol className="leaderboard-list">
+          {pageRows.map((row) => {
+            const removal = removalFor(row);
+            const isYou = account && row.address.toLowerCase() === account.toLowerCase();
+            return (
+              <li key={row.address} className={isYou ? 'is-you' : undefined}>
+                <span className="leaderboard-rank">#{row.rank}</span>
+                <a className="leaderboard-address" {...getAddressLinkProps(row.address)}>
+                  {formatAddressShort(row.address)}
+                  {isYou && " (you)"}
+                </a>
+                {removal && (
+                  <span className="leaderboard-removed" title={`Removed from the on-chain board by the owner at block ${removal.blockNumber}`}>
+                    removed
+                  </span>
+                )}
+                <span className="leaderboard-votes">{row.happyVotes} 😊</span>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      <div className="full-leaderboard-pager">
+        <button
+          type="button"
+          className="timeline-range-button"
+          disabled={currentPage === 0}
+          onClick={() => setPage(currentPage - 1)}
+        >
+          Previous
+        </button>
+        <span className="timeline-status">
+          Page {currentPage + 1} of {pageCount} · {filteredRows.length} voter{filteredRows.length === 1 ? '' : 's'}
+        </span>
+        <button
+          type="button"
+          className="timeline-range-button"
+          disabled={currentPage >= pageCount - 1}
+          onClick={() => setPage(currentPage + 1)}
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default FullLeaderboard;
@@ -0,0 +1,99 @@
+import React, { useEffect, useState } from "react";
+import { loadVoteHistory, withExactCurrentRuns, rankVotersBy, FALLBACK_HISTORY_DAYS } from "./voteHistory";
+
+const TOP_ROWS = 10;
+
+const METRICS = {
+  total: { empty: "No votes yet", format: (score) => `${score} ${score === 1 ? "vote" : "votes"}` },
+  sad: { empty: "No sad votes yet", format: (score) => `${score} 😢` },
+  streak: { empty: "Nobody has a streak going right now", format: (score) => `🔥 ${score} ${score === 1 ? "day" : "days"}` },
+};
+
+// Leaderboards the contract doesn't keep (total votes, sad votes, current streak), ranked
+// from the network's Voted history and laid out like the Happy Leaderboard
+function HistoryLeaderboard({ networkConfig, client, metric, refreshKey, formatAddressShort, getAddressLinkProps }) {
+  const [state, setState] = useState({ status: 'loading', progress: 0, rows: [], isPartial: false, error: null });
+
+  useEffect(() => {
+    if (!client || !networkConfig) return undefined;
+
+    const controller = new AbortController();
+    // Keep the current ranking on screen while a refresh runs
+    setState((prev) => (prev.status === 'ready' ? prev : { ...prev, status: 'loading', error: null }));
+
+    loadVoteHistory({
+      client,
+      config: networkConfig,
+      signal: controller.signal,
+      onProgress: (progress) => {
+        if (!controller.signal.aborted) {
+          setState((prev) => ({ ...prev, progress }));
+        }
+      },
+    })
+      // Streaks compare gaps against 24h/48h, which interpolated block times can't be trusted with
+      .then(async ({ votes, isPartial }) => ({
+        votes: metric === 'streak'
+          ? await withExactCurrentRuns({ client, config: networkConfig, votes, signal: controller.signal })
+          : votes,
+        isPartial,
+      }))
+      .then(({ votes, isPartial }) => {
+        if (controller.signal.aborted) return;
+        setState({ status: 'ready', progress: 100, rows: rankVotersBy(votes, metric), isPartial, error: null });
+      })
+      .catch((err) => {
+        if (controller.signal.aborted || err?.name === 'AbortError') return;
+        console.error(`Failed to rank ${metric} voters on ${networkConfig.key}:`, err);
+        setState({ status: 'error', progress: 0, rows: [], isPartial: false, error: "Could not load vote history from this network's RPC" });
+      });
+
+    return () => controller.abort();
+  }, [client, networkConfig, metric, refreshKey]);
+
+  if (state.status === 'loading') {
+    return <p className="timeline-status">Scanning {networkConfig.label} votes... {state.progress}%</p>;
+  }
+  if (state.status === 'error') {
+    return <p className="timeline-status error">{state.error}</p>;
+  }
+
+  const { format, empty } = METRICS[metric];
+  if (state.rows.length === 0) {
+    return <p className="leaderboard-empty">{empty} on {networkConfig.label}.</p>;
+  }
+
+  const renderRow = (row) => (
+    <li key={row.address}>
+      <span className="leaderboard-rank">#{row.rank}</span>
+      <a className="leaderboard-address" {...getAddressLinkProps(row.address)}>
+        {formatAddressShort(row.address)}
+      </a>
+      <span className="leaderboard-votes">{format(row.score)}</span>
+    </li>
+  );
+  const topRows = state.rows.slice(0, TOP_ROWS);
+  const extraRows = state.rows.slice(TOP_ROWS);
+
+  return (
+    <>
+      {state.isPartial && (
+        <p className="timeline-status">
+          Counted from the last {FALLBACK_HISTORY_DAYS} days of votes: {networkConfig.label}'s RPC couldn't find when the contract was deployed.
+        </p>
+      )}
+      <ol className="leaderboard-list">{topRows.map(renderRow)}</ol>
+
+      {extraRows.length > 0 && (
+        <details className="leaderboard-extra">
+          <summary>Show the rest ({extraRows.length})</summary>
+          <div className="leaderboard-scroll">
+            <ol start={TOP_ROWS + 1}>{extraRows.map(renderRow)}</ol>
+          </div>
+        </details>
+      )}
+    </>
+  );
+}
+
+export default HistoryLeaderboard;
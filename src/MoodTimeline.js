@@ -0,0 +1,173 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { loadVoteHistorySince, bucketVotesByDay, SECONDS_PER_DAY, FALLBACK_HISTORY_DAYS } from "./voteHistory";
+
+const RANGES = [
+  { key: '7', label: '7 days', days: 7 },
+  { key: '30', label: '30 days', days: 30 },
+  { key: '90', label: '90 days', days: 90 },
+  { key: 'all', label: 'All time', days: null },
+];
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = 24;
+
+// Daily happy/sad volume as stacked bars with the happy ratio drawn as a line
+function TimelineChart({ buckets }) {
+  const maxVolume = Math.max(1, ...buckets.map((b) => b.happy + b.sad));
+  const innerWidth = CHART_WIDTH - CHART_PADDING * 2;
+  const innerHeight = CHART_HEIGHT - CHART_PADDING * 2;
+  const slot = innerWidth / Math.max(buckets.length, 1);
+  const barWidth = Math.max(1, slot * 0.7);
+
+  const ratioPoints = buckets
+    .map((bucket, index) => {
+      const total = bucket.happy + bucket.sad;
+      if (total === 0) return null;
+      const x = CHART_PADDING + slot * index + slot / 2;
+      const y = CHART_PADDING + innerHeight * (1 - bucket.happy / total);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .filter(Boolean)
+    .join(' ');
+
+  return (
+    <svg
+      className="timeline-chart"
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      preserveAspectRatio="none"
+      role="img"
+      aria-label="Daily mood chart"
+    >
+      <line
+        x1={CHART_PADDING}
+        x2={CHART_WIDTH - CHART_PADDING}
+        y1={CHART_PADDING + innerHeight / 2}
+        y2={CHART_PADDING + innerHeight / 2}
+        className="timeline-midline"
+      />
+      {buckets.map((bucket, index) => {
+        const x = CHART_PADDING + slot * index + (slot - barWidth) / 2;
+        const happyHeight = (bucket.happy / maxVolume) * innerHeight;
+        const sadHeight = (bucket.sad / maxVolume) * innerHeight;
+        const baseY = CHART_PADDING + innerHeight;
+        return (
+          <g key={bucket.day}>
+            <title>{`${bucket.day}: ${bucket.happy} 😊 / ${bucket.sad} 😢`}</title>
+            <rect x={x} y={baseY - happyHeight} width={barWidth} height={happyHeight} className="timeline-bar-happy" />
+            <rect x={x} y={baseY - happyHeight - sadHeight} width={barWidth} height={sadHeight} className="timeline-bar-sad" />
+          </g>
+        );
+      })}
+      {ratioPoints && <polyline points={ratioPoints} className="timeline-ratio" />}
+    </svg>
+  );
+}
+
+function MoodTimeline({ networkConfig, client }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [rangeKey, setRangeKey] = useState('30');
+  const [state, setState] = useState({ status: 'idle', progress: 0, buckets: [], isPartial: false, error: null });
+
+  useEffect(() => {
+    if (!isOpen || !client || !networkConfig) return undefined;
+
+    const controller = new AbortController();
+    const range = RANGES.find((r) => r.key === rangeKey) || RANGES[1];
+    const now = Math.floor(Date.now() / 1000);
+    const sinceTimestamp = range.days ? now - range.days * SECONDS_PER_DAY : null;
+
+    setState({ status: 'loading', progress: 0, buckets: [], isPartial: false, error: null });
+
+    loadVoteHistorySince({
+      client,
+      config: networkConfig,
+      sinceTimestamp,
+      signal: controller.signal,
+      onProgress: (progress) => {
+        if (!controller.signal.aborted) {
+          setState((prev) => ({ ...prev, progress }));
+        }
+      },
+    })
+      .then(({ votes, isPartial }) => {
+        if (controller.signal.aborted) return;
+        const earliest = votes.reduce(
+          (min, vote) => (vote.timestamp != null && vote.timestamp < min ? vote.timestamp : min),
+          now
+        );
+        const start = sinceTimestamp ?? earliest;
+        setState({ status: 'ready', progress: 100, buckets: bucketVotesByDay(votes, start, now), isPartial, error: null });
+      })
+      .catch((err) => {
+        if (controller.signal.aborted || err?.name === 'AbortError') return;
+        console.error(`Failed to load mood history for ${networkConfig.key}:`, err);
+        setState({ status: 'error', progress: 0, buckets: [], isPartial: false, error: "Could not load vote history from this network's RPC" });
+      });
+
+    return () => controller.abort();
+  }, [isOpen, rangeKey, client, networkConfig]);
+
+  const summary = useMemo(() => {
+    const happy = state.buckets.reduce((sum, b) => sum + b.happy, 0);
+    const sad = state.buckets.reduce((sum, b) => sum + b.sad, 0);
+    const busiest = state.buckets.reduce(
+      (best, b) => (b.happy + b.sad > (best ? best.happy + best.sad : 0) ? b : best),
+      null
+    );
+    return {
+      total: happy + sad,
+      happyPercent: happy + sad ? Math.round((happy / (happy + sad)) * 100) : 0,
+      busiest,
+    };
+  }, [state.buckets]);
+
+  if (!networkConfig) return null;
+
+  return (
+    <details className="mood-timeline" onToggle={(e) => setIsOpen(e.currentTarget.open)}>
+      <summary>Mood history</summary>
+
+      <div className="timeline-ranges">
+        {RANGES.map((range) => (
+          <button
+            key={range.key}
+            className={`timeline-range-button ${rangeKey === range.key ? 'active' : ''}`}
+            onClick={() => setRangeKey(range.key)}
+            disabled={state.status === 'loading' && rangeKey === range.key}
+          >
+            {range.label}
+          </button>
+        ))}
+      </div>
+
+      {state.status === 'loading' && (
+        <p className="timeline-status">Scanning {networkConfig.label} votes... {state.progress}%</p>
+      )}
+      {state.status === 'error' && <p className="timeline-status error">{state.error}</p>}
+      {state.status === 'ready' && state.isPartial && (
+        <p className="timeline-status">
+          Showing the last {FALLBACK_HISTORY_DAYS} days: {networkConfig.label}'s RPC couldn't find when the contract was deployed.
+        </p>
+      )}
+      {state.status === 'ready' && summary.total === 0 && (
+        <p className="timeline-status">No votes in this period.</p>
+      )}
+      {state.status === 'ready' && summary.total > 0 && (
+        <>
+          <TimelineChart buckets={state.buckets} />
+          <div className="happiness-meter-labels">
+            <span>{state.buckets[0]?.day}</span>
+            <span>{state.buckets[state.buckets.length - 1]?.day}</span>
+          </div>
+          <p className="timeline-summary">
+            {summary.total} votes · {summary.happyPercent}% happy
+            {summary.busiest && ` · busiest day ${summary.busiest.day} (${summary.busiest.happy + summary.busiest.sad})`}
+          </p>
+        </>
+      )}
+    </details>
+  );
+}
+
+export default MoodTimeline;
@@ -0,0 +1,221 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { isValidAddress, hasAbiFunction, safeNumber } from "./utils";
+import { loadUserVoteHistory, toDayKey, SECONDS_PER_DAY } from "./voteHistory";
+
+const CALENDAR_WEEKS = 53;
+
+// GitHub-style grid: one column per week (Sunday first), ending with the current UTC week
+const buildCalendar = (votes, nowTimestamp) => {
+  const byDay = new Map();
+  votes.forEach((vote) => {
+    if (vote.timestamp == null) return;
+    const key = toDayKey(vote.timestamp);
+    const entry = byDay.get(key) || { happy: 0, sad: 0 };
+    if (vote.isHappy) {
+      entry.happy += 1;
+    } else {
+      entry.sad += 1;
+    }
+    byDay.set(key, entry);
+  });
+
+  const today = Math.floor(nowTimestamp / SECONDS_PER_DAY);
+  const todayWeekday = new Date(today * SECONDS_PER_DAY * 1000).getUTCDay();
+  const firstDay = today - todayWeekday - (CALENDAR_WEEKS - 1) * 7;
+
+  const weeks = [];
+  for (let week = 0; week < CALENDAR_WEEKS; week++) {
+    const days = [];
+    for (let weekday = 0; weekday < 7; weekday++) {
+      const day = firstDay + week * 7 + weekday;
+      const key = toDayKey(day * SECONDS_PER_DAY);
+      days.push({ key, future: day > today, ...(byDay.get(key) || { happy: 0, sad: 0 }) });
+    }
+    weeks.push(days);
+  }
+  return { weeks, sinceTimestamp: firstDay * SECONDS_PER_DAY };
+};
+
+const cellClass = (day) => {
+  if (day.future) return 'calendar-cell future';
+  if (day.happy && day.sad) return 'calendar-cell mixed';
+  if (day.happy) return 'calendar-cell happy';
+  if (day.sad) return 'calendar-cell sad';
+  return 'calendar-cell';
+};
+
+function MyMoods({ networkConfig, client, account, routeAddress = null, onLookup, id }) {
+  const [isOpen, setIsOpen] = useState(Boolean(routeAddress));
+  const [searchInput, setSearchInput] = useState(routeAddress || "");
+  const [lookupAddress, setLookupAddress] = useState(isValidAddress(routeAddress) ? routeAddress : null);
+  const [state, setState] = useState({ status: 'idle', progress: 0, votes: [], contractStats: null, error: null });
+
+  // Deep links (/:network/address/:addr) open the calendar for that address
+  useEffect(() => {
+    if (!routeAddress) return;
+    setIsOpen(true);
+    setSearchInput(routeAddress);
+    if (isValidAddress(routeAddress)) {
+      setLookupAddress(routeAddress);
+    } else {
+      setLookupAddress(null);
+      setState((prev) => ({ ...prev, status: 'error', error: "The address in this link is not a valid 0x address" }));
+    }
+  }, [routeAddress]);
+
+  const targetAddress = lookupAddress || account || null;
+  const nowTimestamp = useMemo(() => Math.floor(Date.now() / 1000), []);
+  const sinceTimestamp = useMemo(() => buildCalendar([], nowTimestamp).sinceTimestamp, [nowTimestamp]);
+
+  useEffect(() => {
+    if (!isOpen || !client || !networkConfig || !isValidAddress(targetAddress)) return undefined;
+
+    const controller = new AbortController();
+    const baseArgs = { abi: networkConfig.abi, address: networkConfig.contractAddress };
+    const readOptional = (functionName) => (
+      hasAbiFunction(networkConfig.abi, functionName)
+        ? client.readContract({ ...baseArgs, functionName, args: [targetAddress] })
+        : Promise.resolve(null)
+    );
+
+    setState({ status: 'loading', progress: 0, votes: [], contractStats: null, error: null });
+
+    Promise.all([
+      loadUserVoteHistory({
+        client,
+        config: networkConfig,
+        user: targetAddress,
+        sinceTimestamp,
+        signal: controller.signal,
+        onProgress: (progress) => {
+          if (!controller.signal.aborted) setState((prev) => ({ ...prev, progress }));
+        },
+      }),
+      readOptional('happyVoteCount'),
+      readOptional('lastVotedAt'),
+    ])
+      .then(([{ votes }, happyVoteCount, lastVotedAt]) => {
+        if (controller.signal.aborted) return;
+        setState({
+          status: 'ready',
+          progress: 100,
+          votes,
+          contractStats: {
+            happyVoteCount: happyVoteCount == null ? null : safeNumber(happyVoteCount),
+            lastVotedAt: lastVotedAt == null ? null : safeNumber(lastVotedAt),
+          },
+          error: null,
+        });
+      })
+      .catch((err) => {
+        if (controller.signal.aborted || err?.name === 'AbortError') return;
+        console.error(`Failed to load vote history for ${targetAddress}:`, err);
+        setState({ status: 'error', progress: 0, votes: [], contractStats: null, error: "Could not load vote history from this network's RPC" });
+      });
+
+    return () => controller.abort();
+  }, [isOpen, client, networkConfig, targetAddress, sinceTimestamp]);
+
+  const calendar = useMemo(() => buildCalendar(state.votes, nowTimestamp), [state.votes, nowTimestamp]);
+  const totals = useMemo(() => {
+    const happy = state.votes.filter((vote) => vote.isHappy).length;
+    return { happy, sad: state.votes.length - happy };
+  }, [state.votes]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    const value = searchInput.trim();
+    if (!value) {
+      setLookupAddress(null);
+      onLookup?.(null);
+      return;
+    }
+    if (!isValidAddress(value)) {
+      setState((prev) => ({ ...prev, status: 'error', error: "Enter a valid 0x address" }));
+      return;
+    }
+    setLookupAddress(value);
+    onLookup?.(value);
+  };
+
+  if (!networkConfig) return null;
+
+  const lastVotedAt = state.contractStats?.lastVotedAt;
+  const isOwnHistory = account && targetAddress && account.toLowerCase() === targetAddress.toLowerCase();
+
+  return (
+    <details id={id} className="mood-timeline my-moods" open={isOpen} onToggle={(e) => setIsOpen(e.currentTarget.open)}>
+      <summary>My moods</summary>
+
+      <form className="admin-row my-moods-search" onSubmit={handleSearch}>
+        <input
+          type="text"
+          placeholder={account ? "Look up another address (0x...)" : "Address to look up (0x...)"}
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+        />
+        <button type="submit" className="admin-button">Look up</button>
+      </form>
+
+      {!targetAddress && state.status !== 'error' && (
+        <p className="timeline-status">Connect a wallet or enter an address to see its mood calendar.</p>
+      )}
+
+      {targetAddress && (
+        <p className="timeline-summary">
+          {isOwnHistory ? "Your" : <span className="leaderboard-address">{targetAddress}</span>}
+          {" "}votes on {networkConfig.label} over the last year
+        </p>
+      )}
+
+      {state.status === 'loading' && (
+        <p className="timeline-status">Scanning votes... {state.progress}%</p>
+      )}
+      {state.status === 'error' && <p className="timeline-status error">{state.error}</p>}
+
+      {state.status === 'ready' && (
+        <>
+          <div className="mood-calendar" role="grid" aria-label="Mood calendar">
+            {calendar.weeks.map((week) => (
+              <div className="calendar-week" key={week[0].key}>
+                {week.map((day) => (
+                  <span
+                    key={day.key}
+                    className={cellClass(day)}
+                    title={day.future ? '' : `${day.key}: ${day.happy ? `${day.happy} 😊` : ''}${day.happy && day.sad ? ' / ' : ''}${day.sad ? `${day.sad} 😢` : ''}${!day.happy && !day.sad ? 'no vote' : ''}`}
+                  />
+                ))}
+              </div>
+            ))}
+          </div>
+          <div className="calendar-legend">
+            <span><span className="calendar-cell happy" /> Happy</span>
+            <span><span className="calendar-cell sad" /> Sad</span>
+            <span><span className="calendar-cell mixed" /> Both</span>
+          </div>
+
+          <dl className="admin-stats">
+            <div>
+              <dt>Votes this year</dt>
+              <dd>{totals.happy + totals.sad}</dd>
+            </div>
+            <div>
+              <dt>Happy / Sad</dt>
+              <dd>{totals.happy} 😊 · {totals.sad} 😢</dd>
+            </div>
+            <div>
+              <dt>Happy votes (contract)</dt>
+              <dd>{state.contractStats?.happyVoteCount ?? "—"}</dd>
+            </div>
+            <div>
+              <dt>Last voted</dt>
+              <dd>{lastVotedAt ? new Date(lastVotedAt * 1000).toLocaleString() : lastVotedAt === 0 ? "Never" : "—"}</dd>
+            </div>
+          </dl>
+        </>
+      )}
+    </details>
+  );
+}
+
+export default MyMoods;
@@ -0,0 +1,55 @@
+import React from "react";
+import { ethers } from "ethers";
+
+const formatNative = (wei, nativeCurrency) => {
+  if (wei == null) return "—";
+  return `${ethers.formatUnits(wei, nativeCurrency.decimals)} ${nativeCurrency.symbol}`;
+};
+
+// Per-account gas refund summary with a pull-claim for refunds the contract could not push
+function RefundPanel({ networkConfig, refundStats, busy, onClaim }) {
+  if (!networkConfig || !refundStats) return null;
+
+  const { nativeCurrency } = networkConfig;
+  const hasOwed = refundStats.userOwed != null && refundStats.userOwed > 0n;
+  const poolShort = hasOwed && refundStats.balance < refundStats.userOwed;
+
+  return (
+    <div className="refund-panel">
+      <div className="leaderboard-header">
+        <h3>Your Gas Refunds</h3>
+        <span>on {networkConfig.label}</span>
+      </div>
+
+      <dl className="admin-stats">
+        <div>
+          <dt>Refunded to you</dt>
+          <dd>{formatNative(refundStats.userRefunded, nativeCurrency)}</dd>
+        </div>
+        <div>
+          <dt>Owed to you</dt>
+          <dd>{formatNative(refundStats.userOwed, nativeCurrency)}</dd>
+        </div>
+      </dl>
+
+      {hasOwed ? (
+          <p className="refund-note">
+            A refund transfer to your wallet failed during a vote, so it was saved for you to claim.
+            {poolShort && " The refund pool is currently too low to pay it out."}
+          </p>
+      ) : (
+          <p className="refund-note">Nothing to claim right now.</p>
+      )}
+
+      <button
+          className="admin-button"
+          onClick={onClaim}
+          disabled={busy || !hasOwed}
+      >
+        {busy ? "Claiming..." : "Claim refund"}
+      </button>
+    </div>
+  );
+}
+
+export default RefundPanel;
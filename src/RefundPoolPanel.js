@@ -0,0 +1,83 @@
+import React, { useState } from "react";
+import { ethers } from "ethers";
+
+const formatNative = (wei, nativeCurrency) => {
+  if (wei == null) return "—";
+  return `${ethers.formatUnits(wei, nativeCurrency.decimals)} ${nativeCurrency.symbol}`;
+};
+
+// Votes the pool can still pay at the per-vote cap (actual refunds can be smaller)
+const estimateCoverableVotes = (balance, maxRefund) => {
+  if (balance == null || maxRefund == null || maxRefund <= 0n) return null;
+  return balance / maxRefund;
+};
+
+// Public view of the gas refund pool with a deposit() top-up form
+function RefundPoolPanel({ networkConfig, refundStats, canDeposit, busy, onDeposit }) {
+  const [amount, setAmount] = useState("");
+
+  if (!networkConfig || !refundStats) return null;
+
+  const { nativeCurrency } = networkConfig;
+  const coverableVotes = estimateCoverableVotes(refundStats.balance, refundStats.maxRefund);
+
+  const handleDeposit = async () => {
+    const deposited = await onDeposit(amount);
+    if (deposited) setAmount("");
+  };
+
+  return (
+    <div className="refund-panel">
+      <div className="leaderboard-header">
+        <h3>Gas Refund Pool</h3>
+        <span>{refundStats.enabled ? "Refunds active" : "Refunds paused"} on {networkConfig.label}</span>
+      </div>
+
+      <dl className="admin-stats">
+        <div>
+          <dt>Pool balance</dt>
+          <dd>{formatNative(refundStats.balance, nativeCurrency)}</dd>
+        </div>
+        <div>
+          <dt>Max refund / vote</dt>
+          <dd>{formatNative(refundStats.maxRefund, nativeCurrency)}</dd>
+        </div>
+        <div>
+          <dt>Total refunded</dt>
+          <dd>{formatNative(refundStats.totalRefunded, nativeCurrency)}</dd>
+        </div>
+        <div>
+          <dt>Votes covered</dt>
+          <dd>{coverableVotes == null ? "—" : `≈ ${coverableVotes.toString()}`}</dd>
+        </div>
+      </dl>
+
+      {refundStats.enabled && coverableVotes === 0n && (
+          <p className="refund-note">The pool is empty, so votes are not being refunded right now.</p>
+      )}
+
+      {canDeposit ? (
+          <div className="admin-row">
+            <input
+                type="text"
+                inputMode="decimal"
+                placeholder={`Amount (${nativeCurrency.symbol})`}
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+            />
+            <button
+                className="admin-button"
+                onClick={handleDeposit}
+                disabled={busy || !amount.trim()}
+            >
+              {busy ? "Processing..." : "Top up pool"}
+            </button>
+          </div>
+      ) : (
+          <p className="refund-note">Connect a wallet to top up the pool.</p>
+      )}
+    </div>
+  );
+}
+
+export default RefundPoolPanel;
@@ -0,0 +1,91 @@
+import React, { useState } from "react";
+import { validateCustomRpcUrl } from "./customRpc";
+
+// Settings for user-supplied RPC endpoints (one per network). Saving runs the live checks in
+// validateCustomRpcUrl; the URL is only handed to onSave once they pass.
+function RpcSettings({ networks, customRpcUrls, onSave, onRemove, id }) {
+  const [drafts, setDrafts] = useState({});
+  const [checking, setChecking] = useState(null);
+  const [results, setResults] = useState({});
+
+  const handleSave = async (network) => {
+    setChecking(network.key);
+    setResults((prev) => ({ ...prev, [network.key]: null }));
+    try {
+      const url = await validateCustomRpcUrl(drafts[network.key], network);
+      onSave(network.key, url);
+      setDrafts((prev) => ({ ...prev, [network.key]: "" }));
+      setResults((prev) => ({ ...prev, [network.key]: { type: 'success', text: "Checks passed. This endpoint is now tried first." } }));
+    } catch (err) {
+      setResults((prev) => ({ ...prev, [network.key]: { type: 'error', text: err.message } }));
+    } finally {
+      setChecking(null);
+    }
+  };
+
+  const handleRemove = (network) => {
+    onRemove(network.key);
+    setResults((prev) => ({ ...prev, [network.key]: { type: 'success', text: "Back to the built-in endpoints." } }));
+  };
+
+  return (
+    <details id={id} className="mood-timeline rpc-settings">
+      <summary>RPC settings</summary>
+
+      <p className="rpc-settings-warning">
+        ⚠️ A custom RPC bypasses the built-in endpoint whitelist. It sees which addresses you look up and
+        controls the vote counts, leaderboard and gas estimates this page shows. Only add nodes you run or trust.
+      </p>
+      <p className="timeline-status">
+        Before saving, the URL must be HTTPS, report the network's chain ID and have the HappyVote contract deployed.
+        Settings are stored in this browser only.
+      </p>
+
+      {networks.map((network) => {
+        const current = customRpcUrls[network.key];
+        const result = results[network.key];
+        return (
+          <div className="rpc-settings-network" key={network.key}>
+            <div className="rpc-settings-header">
+              <strong>{network.label}</strong>
+              <span className="timeline-status">chain {network.chainId}</span>
+            </div>
+            {current ? (
+              <div className="admin-row">
+                <span className="leaderboard-address rpc-settings-current" title={current}>{current}</span>
+                <button type="button" className="admin-button" onClick={() => handleRemove(network)}>Remove</button>
+              </div>
+            ) : (
+              <p className="timeline-status">Using built-in endpoints</p>
+            )}
+            <form
+              className="admin-row"
+              onSubmit={(e) => {
+                e.preventDefault();
+                handleSave(network);
+              }}
+            >
+              <input
+                type="url"
+                placeholder="https://your-node.example/rpc"
+                value={drafts[network.key] || ""}
+                onChange={(e) => setDrafts((prev) => ({ ...prev, [network.key]: e.target.value }))}
+                disabled={checking === network.key}
+              />
+              <button
+                type="submit"
+                className="admin-button"
+                disabled={checking !== null || !(drafts[network.key] || "").trim()}
+              >
+                {checking === network.key ? "Checking..." : current ? "Replace" : "Check & save"}
+              </button>
+            </form>
+            {result && <p className={`timeline-status ${result.type === 'error' ? 'error' : ''}`}>{result.text}</p>}
+          </div>
+        );
+      })}
+    </details>
+  );
+}
+
+export default RpcSettings;
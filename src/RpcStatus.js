@@ -0,0 +1,40 @@
+import React, { useEffect, useState } from "react";
+import { formatRpcHost } from "./rpcPool";
+
+// Small pill showing which RPC endpoint the selected network is reading from
+function RpcStatus({ pool }) {
+  const [status, setStatus] = useState(() => pool?.getStatus() || null);
+
+  useEffect(() => {
+    if (!pool) {
+      setStatus(null);
+      return undefined;
+    }
+    setStatus(pool.getStatus());
+    return pool.subscribe(setStatus);
+  }, [pool]);
+
+  if (!status || status.endpoints.length === 0) return null;
+
+  const active = status.endpoints.find((endpoint) => endpoint.url === status.activeUrl) || null;
+  const healthyCount = status.endpoints.filter((endpoint) => endpoint.healthy).length;
+  const state = !active ? 'pending' : healthyCount === 0 ? 'down' : healthyCount < status.endpoints.length ? 'degraded' : 'ok';
+  const details = status.endpoints
+    .map((endpoint) => {
+      const latency = endpoint.latency != null ? `${endpoint.latency} ms` : "not measured";
+      const health = endpoint.healthy ? latency : `cooling down after ${endpoint.failures} failure(s)`;
+      return `${endpoint.url === status.activeUrl ? "▶ " : ""}${formatRpcHost(endpoint.url)}${endpoint.custom ? " (custom)" : ""}: ${health}`;
+    })
+    .join("\n");
+
+  return (
+    <span className={`rpc-status rpc-status-${state}`} title={details}>
+      <span className="rpc-status-dot" />
+      {active ? formatRpcHost(active.url) : "Connecting..."}
+      {active?.custom && <span className="rpc-status-custom">custom</span>}
+      {active?.latency != null && <span className="rpc-status-latency">{active.latency} ms</span>}
+    </span>
+  );
+}
+
+export default RpcStatus;
@@ -0,0 +1,104 @@
+import React, { useEffect, useState } from "react";
+import { isValidAddress } from "./utils";
+import { loadStreakVotes, loadUserVoteHistory, computeStreaks, FALLBACK_HISTORY_DAYS } from "./voteHistory";
+
+// Warn once less than this much of the 48h window is left
+const STREAK_WARNING_SECONDS = 12 * 60 * 60;
+
+const formatHoursLeft = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+// Connected user's current and longest streak, derived from their Voted history. The current
+// streak comes from a backwards scan of the current run only, refreshed when refreshKey changes
+// (the user voted); the longest needs the full history, which is read once per account and network.
+function VoteStreak({ networkConfig, client, account, refreshKey }) {
+  const [streak, setStreak] = useState(null);
+  const [best, setBest] = useState(null);
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+
+  useEffect(() => {
+    if (!client || !networkConfig || !isValidAddress(account)) {
+      setBest(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    setBest(null);
+
+    loadUserVoteHistory({ client, config: networkConfig, user: account, signal: controller.signal })
+      .then(({ votes, isPartial }) => {
+        if (controller.signal.aborted) return;
+        setBest({ longest: computeStreaks(votes).longest, isPartial });
+      })
+      .catch((err) => {
+        if (controller.signal.aborted || err?.name === 'AbortError') return;
+        console.warn(`Failed to load vote history for ${account}:`, err);
+      });
+
+    return () => controller.abort();
+  }, [client, networkConfig, account]);
+
+  useEffect(() => {
+    if (!client || !networkConfig || !isValidAddress(account)) {
+      setStreak(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+
+    loadStreakVotes({ client, config: networkConfig, user: account, signal: controller.signal })
+      .then(({ votes }) => {
+        if (controller.signal.aborted) return;
+        const nowTimestamp = Math.floor(Date.now() / 1000);
+        setNow(nowTimestamp);
+        setStreak({ ...computeStreaks(votes, nowTimestamp), account, networkKey: networkConfig.key });
+      })
+      .catch((err) => {
+        if (controller.signal.aborted || err?.name === 'AbortError') return;
+        console.warn(`Failed to load streak for ${account}:`, err);
+        setStreak(null);
+      });
+
+    return () => controller.abort();
+  }, [client, networkConfig, account, refreshKey]);
+
+  // Re-evaluate the warning as time passes without refetching history
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 60000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // A refresh keeps the last result on screen, but never another account's or network's
+  if (!streak || streak.account !== account || streak.networkKey !== networkConfig?.key) return null;
+
+  const secondsLeft = streak.breaksAt != null ? streak.breaksAt - now : null;
+  const isBroken = secondsLeft != null && secondsLeft <= 0;
+  const current = isBroken ? 0 : streak.current;
+  // The full history is only read once, so the streak running now may already be longer
+  const longest = best ? Math.max(best.longest, streak.current) : null;
+  if (current === 0 && !longest) return null;
+  const atRisk = !isBroken && secondsLeft != null && secondsLeft <= STREAK_WARNING_SECONDS;
+
+  return (
+    <div className={`vote-streak ${atRisk ? 'at-risk' : ''}`.trim()}>
+      <p>
+        🔥 Streak: <strong>{current}</strong> {current === 1 ? "day" : "days"}
+        {longest != null && (
+          <span className="vote-streak-best">
+            {" "}· best {longest}{best.isPartial && ` in the last ${FALLBACK_HISTORY_DAYS} days`}
+          </span>
+        )}
+      </p>
+      {atRisk && (
+        <p className="vote-streak-warning">
+          ⚠️ Your streak ends in {formatHoursLeft(secondsLeft)}. Vote to keep it going!
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default VoteStreak;
@@ -0,0 +1,137 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { ZERO_ADDRESS, isValidAddress, isValidAbi, safeNumber } from "./utils";
+
+const toPercent = (happy, sad) => {
+  const total = happy + sad;
+  if (!total) return { happyPercent: 0, sadPercent: 0 };
+  const happyPercent = Math.round((happy / total) * 100);
+  return { happyPercent, sadPercent: 100 - happyPercent };
+};
+
+function MoodMeter({ happy, sad, compact = false }) {
+  const { happyPercent, sadPercent } = toPercent(happy, sad);
+  return (
+    <div className={`happiness-meter-container ${compact ? 'meter-compact' : ''}`}>
+      <div className="happiness-meter-happy" style={{ width: `${happyPercent}%` }}></div>
+      <div className="happiness-meter-sad" style={{ width: `${sadPercent}%` }}></div>
+    </div>
+  );
+}
+
+// Combined mood across every configured deployment, one getVotes() read per network
+function WorldMood({ networks, getClient }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [includeTestnets, setIncludeTestnets] = useState(false);
+  const [rows, setRows] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const configuredNetworks = useMemo(
+    () => networks.filter((network) => (
+      network.contractAddress !== ZERO_ADDRESS && isValidAddress(network.contractAddress)
+    )),
+    [networks]
+  );
+
+  const loadAll = useCallback(async () => {
+    setLoading(true);
+    const results = await Promise.allSettled(
+      configuredNetworks.map(async (network) => {
+        if (!isValidAbi(network.abi)) throw new Error("Invalid ABI");
+        const client = getClient(network.key);
+        if (!client) throw new Error("No RPC client");
+        const [happy, sad] = await client.readContract({
+          abi: network.abi,
+          address: network.contractAddress,
+          functionName: "getVotes",
+        });
+        return { happy: safeNumber(happy), sad: safeNumber(sad) };
+      })
+    );
+
+    const nextRows = {};
+    results.forEach((result, index) => {
+      const network = configuredNetworks[index];
+      if (result.status === 'fulfilled') {
+        nextRows[network.key] = { status: 'ok', ...result.value };
+      } else {
+        console.warn(`World mood: failed to read ${network.key}:`, result.reason);
+        nextRows[network.key] = { status: 'error', happy: 0, sad: 0 };
+      }
+    });
+    setRows(nextRows);
+    setLoading(false);
+  }, [configuredNetworks, getClient]);
+
+  useEffect(() => {
+    if (isOpen) loadAll();
+  }, [isOpen, loadAll]);
+
+  const visibleNetworks = configuredNetworks.filter((network) => includeTestnets || !network.testnet);
+  const totals = visibleNetworks.reduce(
+    (acc, network) => {
+      const row = rows[network.key];
+      if (row?.status === 'ok') {
+        acc.happy += row.happy;
+        acc.sad += row.sad;
+      }
+      return acc;
+    },
+    { happy: 0, sad: 0 }
+  );
+  const { happyPercent, sadPercent } = toPercent(totals.happy, totals.sad);
+  const unavailableCount = visibleNetworks.filter((network) => rows[network.key]?.status === 'error').length;
+
+  return (
+    <details className="mood-timeline world-mood" onToggle={(e) => setIsOpen(e.currentTarget.open)}>
+      <summary>World mood</summary>
+
+      <div className="world-mood-toolbar">
+        <label className="world-mood-toggle">
+          <input
+            type="checkbox"
+            checked={includeTestnets}
+            onChange={(e) => setIncludeTestnets(e.target.checked)}
+          />
+          Include testnets
+        </label>
+        <button className="timeline-range-button" onClick={loadAll} disabled={loading}>
+          {loading ? "Loading..." : "Refresh"}
+        </button>
+      </div>
+
+      <MoodMeter happy={totals.happy} sad={totals.sad} />
+      <div className="happiness-meter-labels">
+        <span>😊 Happy ({happyPercent}%)</span>
+        <span>😢 Sad ({sadPercent}%)</span>
+      </div>
+      <p className="timeline-summary">
+        Total votes across {includeTestnets ? "all networks" : "mainnets"}: <strong>{totals.happy + totals.sad}</strong>
+        {unavailableCount > 0 && ` (excluding ${unavailableCount} unavailable)`}
+      </p>
+
+      <ul className="world-mood-list">
+        {visibleNetworks.map((network) => {
+          const row = rows[network.key];
+          const rowPercent = row ? toPercent(row.happy, row.sad) : null;
+          return (
+            <li key={network.key}>
+              <div className="world-mood-row-header">
+                <span>{network.label}{network.testnet ? " (testnet)" : ""}</span>
+                {!row && <span className="world-mood-row-status">{loading ? "Loading..." : "—"}</span>}
+                {row?.status === 'error' && <span className="world-mood-row-status error">RPC unavailable</span>}
+                {row?.status === 'ok' && (
+                  <span className="world-mood-row-status">
+                    {row.happy + row.sad} votes · {rowPercent.happyPercent}% 😊
+                  </span>
+                )}
+              </div>
+              {row?.status === 'ok' && <MoodMeter happy={row.happy} sad={row.sad} compact />}
+            </li>
+          );
+        })}
+      </ul>
+    </details>
+  );
+}
+
+export default WorldMood;
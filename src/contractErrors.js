@@ -0,0 +1,252 @@
+import { decodeErrorResult } from "viem";
+
+// Turns whatever a write throws (viem, ethers, EIP-1193 wallets, our own transaction
+// service) into { kind, reason, message, action } for the UI.
+
+// require() strings from contracts/HappyVoteLeaderboard.sol and HappyVote.sol
+export const REVERT_MESSAGES = {
+  "You can only vote once every 24 hours": {
+    message: "You've already voted in the last 24 hours",
+    action: "Wait for the cooldown timer to finish, then vote again.",
+  },
+  "Contract is paused": {
+    message: "Voting is paused by the contract owner",
+    action: "Try again once voting resumes.",
+  },
+  "Not owner": {
+    message: "Only the contract owner can do this",
+    action: "Switch to the owner wallet.",
+  },
+  "Only owner can call this function": {
+    message: "Only the contract owner can do this",
+    action: "Switch to the owner wallet.",
+  },
+  "ReentrancyGuard: reentrant call": {
+    message: "The contract rejected a re-entrant call",
+    action: "Wait for your previous transaction to confirm, then retry.",
+  },
+  "No refund owed": {
+    message: "No refund is owed to this wallet",
+    action: null,
+  },
+  "Insufficient contract balance": {
+    message: "The refund pool can't cover your refund right now",
+    action: "Try again after it is topped up.",
+  },
+  "Insufficient balance": {
+    message: "The contract balance is lower than the requested amount",
+    action: "Withdraw a smaller amount.",
+  },
+  "Withdraw failed": {
+    message: "The transfer out of the contract failed",
+    action: "Check that the recipient can receive the native currency.",
+  },
+  "Refund claim failed": {
+    message: "The refund transfer to your wallet failed",
+    action: "Check that your wallet can receive the native currency.",
+  },
+  "Must send value": {
+    message: "The amount must be greater than zero",
+    action: null,
+  },
+  "amount must be > 0": {
+    message: "The amount must be greater than zero",
+    action: null,
+  },
+  "topN must be > 0": {
+    message: "The leaderboard size must be at least 1",
+    action: null,
+  },
+  "zero address": {
+    message: "The zero address isn't allowed here",
+    action: "Enter a valid address.",
+  },
+  "Already paused": {
+    message: "Voting is already paused",
+    action: "Refresh to see the current state.",
+  },
+  "Not paused": {
+    message: "Voting is not paused",
+    action: "Refresh to see the current state.",
+  },
+  "not in leaderboard": {
+    message: "That address is not on the leaderboard",
+    action: null,
+  },
+};
+
+// EIP-1193 / JSON-RPC codes and ethers v6 error codes
+const WALLET_ERRORS = {
+  4001: { kind: 'rejected', message: "Transaction rejected by user", action: null },
+  ACTION_REJECTED: { kind: 'rejected', message: "Transaction rejected by user", action: null },
+  4100: { kind: 'wallet', message: "The wallet hasn't authorized this site", action: "Reconnect your wallet." },
+  4200: { kind: 'wallet', message: "Your wallet doesn't support this request", action: "Try a different wallet." },
+  4900: { kind: 'wallet', message: "Your wallet is disconnected", action: "Reconnect and try again." },
+  4901: { kind: 'wallet', message: "Your wallet is not connected to this network", action: "Switch networks and try again." },
+  4902: { kind: 'wallet', message: "Your wallet doesn't know this network", action: "Add the network in your wallet, then retry." },
+  '-32002': { kind: 'wallet', message: "Your wallet already has a pending request", action: "Open the wallet and finish or dismiss it." },
+  INSUFFICIENT_FUNDS: { kind: 'funds', message: "Insufficient funds for transaction", action: "Top up your wallet to cover the value and gas." },
+  NONCE_EXPIRED: { kind: 'wallet', message: "Nonce error", action: "Refresh the page and try again." },
+  REPLACEMENT_UNDERPRICED: { kind: 'wallet', message: "A pending transaction is blocking this one", action: "Speed it up or cancel it in your wallet." },
+  NETWORK_ERROR: { kind: 'network', message: "The network RPC didn't respond", action: "Check your connection and retry." },
+};
+
+// viem error class names that map onto the same cases
+const VIEM_ERROR_NAMES = {
+  UserRejectedRequestError: WALLET_ERRORS[4001],
+  InsufficientFundsError: WALLET_ERRORS.INSUFFICIENT_FUNDS,
+  NonceTooLowError: WALLET_ERRORS.NONCE_EXPIRED,
+  NonceTooHighError: WALLET_ERRORS.NONCE_EXPIRED,
+  ChainDisconnectedError: WALLET_ERRORS[4901],
+  SwitchChainError: WALLET_ERRORS[4902],
+  HttpRequestError: WALLET_ERRORS.NETWORK_ERROR,
+  TimeoutError: WALLET_ERRORS.NETWORK_ERROR,
+};
+
+const PANIC_REASONS = {
+  0x01: "assertion failed",
+  0x11: "arithmetic overflow",
+  0x12: "division by zero",
+  0x32: "array index out of bounds",
+};
+
+// err, err.cause, err.cause.cause... plus ethers' nested `error`
+const errorChain = (err) => {
+  const chain = [];
+  let current = err;
+  while (current && typeof current === 'object' && chain.length < 8) {
+    chain.push(current);
+    current = current.cause || current.error || current.info?.error;
+  }
+  return chain;
+};
+
+const errorText = (err) => errorChain(err)
+  .map((item) => `${item.shortMessage || ''} ${item.message || ''} ${item.details || ''}`)
+  .join(' ');
+
+const isHexData = (value) => typeof value === 'string' && /^0x[0-9a-fA-F]{8,}$/.test(value);
+
+const findRevertData = (err) => {
+  for (const item of errorChain(err)) {
+    const candidates = [item.data, item.data?.data, item.info?.error?.data];
+    const data = candidates.find(isHexData);
+    if (data) return data;
+  }
+  return null;
+};
+
+const fromDecoded = (errorName, args = []) => {
+  if (errorName === 'Error') return { reason: String(args[0] ?? '') };
+  if (errorName === 'Panic') {
+    const code = Number(args[0]);
+    return { reason: `Panic: ${PANIC_REASONS[code] || `code 0x${code.toString(16)}`}` };
+  }
+  return { reason: null, errorName, args };
+};
+
+// Revert reason (require string) or custom error, decoded against the network's ABI when
+// the library hasn't done it already. Returns null when the error isn't a revert.
+export const decodeRevert = (err, abi = []) => {
+  for (const item of errorChain(err)) {
+    if (item.name === 'ContractFunctionRevertedError') {
+      if (item.reason) return { reason: item.reason };
+      if (item.data?.errorName) return fromDecoded(item.data.errorName, item.data.args);
+    }
+    // ethers v6 CALL_EXCEPTION
+    if (item.revert?.name) return fromDecoded(item.revert.name, item.revert.args);
+    if (item.code === 'CALL_EXCEPTION' && typeof item.reason === 'string' && item.reason) return { reason: item.reason };
+  }
+
+  const data = findRevertData(err);
+  if (data) {
+    try {
+      const decoded = decodeErrorResult({ abi: abi || [], data });
+      return fromDecoded(decoded.errorName, decoded.args);
+    } catch {
+      // Not an error selector we know; fall through to text matching
+    }
+  }
+
+  const text = errorText(err);
+  const match = text.match(/reverted with reason string '([^']+)'/) || text.match(/execution reverted: ([^\n"]+)/);
+  return match ? { reason: match[1].trim() } : null;
+};
+
+const findWalletError = (err) => {
+  for (const item of errorChain(err)) {
+    if (item.code != null && WALLET_ERRORS[String(item.code)]) return WALLET_ERRORS[String(item.code)];
+    if (VIEM_ERROR_NAMES[item.name]) return VIEM_ERROR_NAMES[item.name];
+  }
+  return null;
+};
+
+const findKnownRevert = (reason, text) => {
+  if (reason && REVERT_MESSAGES[reason]) return REVERT_MESSAGES[reason];
+  const knownReason = Object.keys(REVERT_MESSAGES).find((known) => text.includes(known));
+  return knownReason ? REVERT_MESSAGES[knownReason] : null;
+};
+
+export const classifyTransactionError = (err, { abi, fallback = "Transaction failed" } = {}) => {
+  // Errors raised before anything reaches the wallet already carry display copy
+  if (err?.userMessage) {
+    return { kind: 'precondition', reason: null, message: err.userMessage, action: null };
+  }
+  if (err?.code === 'TX_TIMEOUT') {
+    return {
+      kind: 'timeout',
+      reason: null,
+      message: `Transaction sent but not yet confirmed (hash ${err.hash.slice(0, 10)}...)`,
+      action: "Check its status in the explorer.",
+    };
+  }
+
+  const walletError = findWalletError(err);
+  if (walletError?.kind === 'rejected') {
+    return { ...walletError, reason: null };
+  }
+
+  const text = errorText(err);
+  const revert = decodeRevert(err, abi);
+  // Plain-text matching only for errors that look like reverts, so stray words don't misfire
+  const known = findKnownRevert(revert?.reason, revert || /revert/i.test(text) ? text : '');
+  if (known) {
+    return { kind: 'revert', reason: revert?.reason || null, ...known };
+  }
+  if (revert) {
+    const label = revert.reason || `${revert.errorName}(${(revert.args || []).map(String).join(', ')})`;
+    return { kind: 'revert', reason: label, message: `${fallback}: ${label}`, action: null };
+  }
+
+  if (walletError) return { ...walletError, reason: null };
+  if (/user rejected|user denied|rejected the request/i.test(text)) return { ...WALLET_ERRORS[4001], reason: null };
+  if (/insufficient funds|insufficient balance/i.test(text)) return { ...WALLET_ERRORS.INSUFFICIENT_FUNDS, reason: null };
+  if (/nonce/i.test(text)) return { ...WALLET_ERRORS.NONCE_EXPIRED, reason: null };
+  if (/out of gas|gas required exceeds/i.test(text)) {
+    return { kind: 'gas', reason: null, message: "Transaction ran out of gas", action: "Please try again." };
+  }
+
+  const reason = err?.reason || err?.shortMessage;
+  return { kind: 'unknown', reason: reason || null, message: reason ? `${fallback}: ${reason}` : fallback, action: null };
+};
+
+export const isUserRejection = (err) => classifyTransactionError(err).kind === 'rejected';
+
+export const isRevertError = (err, abi) => Boolean(decodeRevert(err, abi)) ||
+  errorChain(err).some((item) => (
+    item.name === 'ExecutionRevertedError' ||
+    item.code === 'CALL_EXCEPTION' ||
+    /execution reverted/i.test(item.shortMessage || item.message || '')
+  ));
+
+// Message plus suggested action, ready for showMessage()
+export const getTransactionErrorMessage = (err, fallback, abi) => {
+  const { message, action } = classifyTransactionError(err, { abi, fallback });
+  return action ? `${message}. ${action}` : message;
+};
+
+export const getRevertMessage = (reason) => {
+  const known = REVERT_MESSAGES[reason];
+  if (!known) return reason;
+  return known.action ? `${known.message}. ${known.action}` : known.message;
+};
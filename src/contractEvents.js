@@ -0,0 +1,102 @@
+// Live contract event subscription on top of a viem public client.
+// Uses eth_newFilter/eth_getFilterChanges when the RPC supports it and
+// falls back to eth_getLogs polling over new blocks when it doesn't.
+
+const DEFAULT_POLLING_INTERVAL = 4000;
+
+export const watchContractLogs = ({
+  client,
+  abi,
+  address,
+  eventNames,
+  onLogs,
+  onModeChange,
+  onError,
+  pollingInterval = DEFAULT_POLLING_INTERVAL,
+}) => {
+  const events = (abi || []).filter(
+    (item) => item.type === 'event' && eventNames.includes(item.name)
+  );
+  if (!client || !address || events.length === 0) {
+    return () => {};
+  }
+
+  let stopped = false;
+  let timer = null;
+  let filter = null;
+  let useFilter = true;
+  // Next block to scan in polling mode (also the resume point if a filter dies)
+  let nextBlock = null;
+
+  const switchToPolling = (reason) => {
+    if (!useFilter) return;
+    console.warn(`Event filters unavailable for ${address}, falling back to log polling:`, reason?.message || reason);
+    useFilter = false;
+    filter = null;
+    onModeChange?.('polling');
+  };
+
+  const pollFilter = async () => {
+    if (!filter) {
+      nextBlock = (await client.getBlockNumber({ cacheTime: 0 })) + 1n;
+      filter = await client.createEventFilter({ address, events });
+      onModeChange?.('filter');
+      return [];
+    }
+    const logs = await client.getFilterChanges({ filter });
+    logs.forEach((log) => {
+      if (log.blockNumber != null && log.blockNumber >= nextBlock) {
+        nextBlock = log.blockNumber + 1n;
+      }
+    });
+    return logs;
+  };
+
+  const pollLogs = async () => {
+    const latest = await client.getBlockNumber({ cacheTime: 0 });
+    if (nextBlock == null) {
+      nextBlock = latest + 1n;
+      return [];
+    }
+    if (latest < nextBlock) return [];
+    const logs = await client.getLogs({ address, events, fromBlock: nextBlock, toBlock: latest });
+    nextBlock = latest + 1n;
+    return logs;
+  };
+
+  const poll = async () => {
+    if (stopped) return;
+    try {
+      let logs = [];
+      if (useFilter) {
+        try {
+          logs = await pollFilter();
+        } catch (filterErr) {
+          switchToPolling(filterErr);
+        }
+      }
+      if (!useFilter) {
+        logs = await pollLogs();
+      }
+      if (!stopped && logs.length > 0) {
+        onLogs(logs);
+      }
+    } catch (err) {
+      onError?.(err);
+    } finally {
+      if (!stopped) {
+        timer = setTimeout(poll, pollingInterval);
+      }
+    }
+  };
+
+  poll();
+
+  return () => {
+    stopped = true;
+    if (timer) clearTimeout(timer);
+    if (filter) {
+      client.uninstallFilter({ filter }).catch(() => {});
+    }
+  };
+};
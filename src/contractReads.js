@@ -0,0 +1,213 @@
+import { isValidAddress, safeNumber, hasAbiFunction } from "./utils";
+
+// Canonical Multicall3 deployment (same address on every chain that has one)
+export const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+// Chains where aggregate3 can't work (nothing deployed there, undecodable result);
+// later refreshes go straight to parallel reads for them
+const multicallUnsupported = new Set();
+
+// viem errors that will repeat on every attempt, unlike timeouts and other RPC hiccups
+const DETERMINISTIC_MULTICALL_ERRORS = [
+  'ContractFunctionZeroDataError',
+  'ContractFunctionRevertedError',
+  'AbiDecodingZeroDataError',
+  'AbiDecodingDataSizeTooSmallError',
+  'AbiDecodingDataSizeInvalidError',
+];
+
+const isMulticallUnsupported = (err) => (
+  typeof err?.walk === 'function'
+    ? Boolean(err.walk((cause) => DETERMINISTIC_MULTICALL_ERRORS.includes(cause?.name)))
+    : DETERMINISTIC_MULTICALL_ERRORS.includes(err?.name)
+);
+
+export const mapLeaderboardRows = (addresses, happyCounts) => (
+  addresses
+    ?.map((addr, index) => ({
+      address: isValidAddress(addr) ? addr : null,
+      happyVotes: safeNumber(happyCounts[index]),
+    }))
+    .filter((row) => row.address && row.happyVotes > 0) || []
+);
+
+// refundEnabled has been seen as boolean, string, number and bigint across RPCs
+const toBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'string') return value.toLowerCase() === 'true' || value === '1';
+  if (typeof value === 'number' || typeof value === 'bigint') return Number(value) !== 0;
+  return Boolean(value);
+};
+
+const readInParallel = async (client, baseArgs, calls) => {
+  const settled = await Promise.allSettled(
+    calls.map(({ functionName, args }) => client.readContract({ ...baseArgs, functionName, ...(args ? { args } : {}) }))
+  );
+  return settled.map((item) => (
+    item.status === 'fulfilled'
+      ? { status: 'success', result: item.value }
+      : { status: 'failure', error: item.reason }
+  ));
+};
+
+// Read several functions of one contract in a single Multicall3 request when the network
+// supports it, otherwise in parallel. Results follow viem's allowFailure shape:
+// [{ status: 'success', result } | { status: 'failure', error }]
+export const batchReadContract = async ({ client, config, calls }) => {
+  if (calls.length === 0) return [];
+  const baseArgs = { abi: config.abi, address: config.contractAddress };
+
+  if (config.multicallAddress && calls.length > 1 && !multicallUnsupported.has(config.chainId)) {
+    try {
+      const results = await client.multicall({
+        multicallAddress: config.multicallAddress,
+        allowFailure: true,
+        contracts: calls.map(({ functionName, args }) => ({ ...baseArgs, functionName, ...(args ? { args } : {}) })),
+      });
+      // With allowFailure, viem reports a failed aggregate3 call itself as the same error on every entry
+      const batchFailed = results.every((item) => item.status === 'failure' && item.error === results[0].error);
+      if (!batchFailed) return results;
+      throw results[0].error;
+    } catch (err) {
+      if (isMulticallUnsupported(err)) {
+        console.warn(`Multicall unavailable on ${config.key}, using parallel reads from now on:`, err?.shortMessage || err?.message);
+        multicallUnsupported.add(config.chainId);
+      } else {
+        // Possibly transient: fall back for this read only and try multicall again next time
+        console.warn(`Multicall failed on ${config.key}, falling back to parallel reads:`, err?.shortMessage || err?.message);
+      }
+    }
+  }
+
+  return readInParallel(client, baseArgs, calls);
+};
+
+// Addresses per batchReadContract call in readHappyVoteCounts, so neither one aggregate3 call
+// nor a burst of parallel reads grows with the number of voters
+const HAPPY_COUNT_BATCH_SIZE = 100;
+
+// On-chain happyVoteCount for many addresses, keyed by lowercase address. Addresses whose read
+// failed are left out; empty when the ABI has no happyVoteCount.
+export const readHappyVoteCounts = async ({ client, config, addresses }) => {
+  const counts = new Map();
+  if (!hasAbiFunction(config.abi, 'happyVoteCount')) return counts;
+
+  for (let start = 0; start < addresses.length; start += HAPPY_COUNT_BATCH_SIZE) {
+    const batch = addresses.slice(start, start + HAPPY_COUNT_BATCH_SIZE);
+    const results = await batchReadContract({
+      client,
+      config,
+      calls: batch.map((address) => ({ functionName: 'happyVoteCount', args: [address] })),
+    });
+    results.forEach((item, index) => {
+      if (item?.status === 'success') counts.set(batch[index].toLowerCase(), safeNumber(item.result));
+    });
+  }
+  return counts;
+};
+
+// Everything the vote screen needs from the contract in one round-trip.
+// Optional functions are only requested when the network's ABI has them; account-specific
+// reads (cooldown, leaderboard position) are skipped without an account. getVotes failing
+// fails the whole read, other failures fall back to safe defaults (leaderboard: null means
+// "keep what you have").
+export const readVoteState = async ({ client, config, account = null }) => {
+  const calls = [{ key: 'votes', functionName: 'getVotes' }];
+  if (hasAbiFunction(config.abi, 'refundEnabled')) calls.push({ key: 'refundEnabled', functionName: 'refundEnabled' });
+  if (hasAbiFunction(config.abi, 'paused')) calls.push({ key: 'paused', functionName: 'paused' });
+  if (account) {
+    calls.push({ key: 'canVote', functionName: 'canVote', args: [account] });
+    calls.push({ key: 'timeLeft', functionName: 'timeUntilNextVote', args: [account] });
+  }
+  if (config.hasLeaderboard) calls.push({ key: 'leaderboard', functionName: 'getHappyLeaderboard' });
+  const readPosition = Boolean(account) && config.hasLeaderboard &&
+    hasAbiFunction(config.abi, 'getIndexOf') && hasAbiFunction(config.abi, 'happyVoteCount');
+  if (readPosition) {
+    calls.push({ key: 'index', functionName: 'getIndexOf', args: [account] });
+    calls.push({ key: 'happyVoteCount', functionName: 'happyVoteCount', args: [account] });
+    if (hasAbiFunction(config.abi, 'topN')) calls.push({ key: 'topN', functionName: 'topN' });
+  }
+
+  const results = await batchReadContract({ client, config, calls });
+  const byKey = {};
+  calls.forEach((call, index) => {
+    const item = results[index];
+    if (item?.status === 'success') {
+      byKey[call.key] = item.result;
+    } else {
+      byKey[call.key] = undefined;
+      if (call.key !== 'votes') console.warn(`${call.functionName} read failed on ${config.key}:`, item?.error?.shortMessage || item?.error?.message);
+    }
+  });
+
+  if (byKey.votes === undefined) {
+    throw results[0]?.error || new Error(`getVotes read failed on ${config.key}`);
+  }
+
+  const [happy, sad] = byKey.votes;
+  const canVote = account ? Boolean(byKey.canVote) : null;
+  return {
+    happyVotes: safeNumber(happy),
+    sadVotes: safeNumber(sad),
+    refundEnabled: byKey.refundEnabled === undefined ? false : toBoolean(byKey.refundEnabled),
+    paused: byKey.paused === undefined ? false : Boolean(byKey.paused),
+    canVote,
+    timeLeft: account && !canVote && byKey.timeLeft !== undefined ? safeNumber(byKey.timeLeft) : null,
+    leaderboard: !config.hasLeaderboard
+      ? []
+      : byKey.leaderboard === undefined ? null : mapLeaderboardRows(byKey.leaderboard[0], byKey.leaderboard[1]),
+    // The account's leaderboard slot (index 0 = not on the board); null when not read
+    userPosition: readPosition && byKey.index !== undefined && byKey.happyVoteCount !== undefined
+      ? {
+        networkKey: config.key,
+        account,
+        index: safeNumber(byKey.index),
+        happyVotes: safeNumber(byKey.happyVoteCount),
+        topN: byKey.topN === undefined ? null : safeNumber(byKey.topN),
+      }
+      : null,
+  };
+};
+
+// Public voting status of any address, for the lookup panel. Functions missing from the
+// network's ABI (or failing to read) come back as null; throws when no per-address read succeeds.
+export const readAddressStatus = async ({ client, config, address }) => {
+  const calls = [
+    { key: 'canVote', functionName: 'canVote', args: [address] },
+    { key: 'timeLeft', functionName: 'timeUntilNextVote', args: [address] },
+    { key: 'lastVotedAt', functionName: 'lastVotedAt', args: [address] },
+    { key: 'happyVoteCount', functionName: 'happyVoteCount', args: [address] },
+    { key: 'leaderboardIndex', functionName: 'getIndexOf', args: [address] },
+    { key: 'topN', functionName: 'topN' },
+    { key: 'refunded', functionName: 'refundedBy', args: [address] },
+    { key: 'owed', functionName: 'owed', args: [address] },
+  ].filter((call) => hasAbiFunction(config.abi, call.functionName));
+
+  const results = await batchReadContract({ client, config, calls });
+  if (!calls.some((call, index) => call.args && results[index]?.status === 'success')) {
+    throw results[0]?.error || new Error(`Address status read failed on ${config.key}`);
+  }
+
+  const byKey = {};
+  calls.forEach((call, index) => {
+    const item = results[index];
+    if (item?.status === 'success') {
+      byKey[call.key] = item.result;
+    } else {
+      console.warn(`${call.functionName} read failed on ${config.key}:`, item?.error?.shortMessage || item?.error?.message);
+    }
+  });
+
+  const toNumber = (value) => (value === undefined ? null : safeNumber(value));
+  return {
+    canVote: byKey.canVote === undefined ? null : Boolean(byKey.canVote),
+    timeLeft: toNumber(byKey.timeLeft),
+    lastVotedAt: toNumber(byKey.lastVotedAt),
+    happyVoteCount: toNumber(byKey.happyVoteCount),
+    // getIndexOf is 1-based; 0 means not on the leaderboard
+    leaderboardPosition: toNumber(byKey.leaderboardIndex),
+    topN: toNumber(byKey.topN),
+    refunded: byKey.refunded ?? null,
+    owed: byKey.owed ?? null,
+  };
+};
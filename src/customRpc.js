@@ -0,0 +1,82 @@
+import { createPublicClient, http } from "viem";
+import { isValidAddress, ZERO_ADDRESS } from "./utils";
+
+// User-supplied RPC endpoints, one per network, kept in localStorage and tried ahead of
+// the built-in ones. They skip ALLOWED_RPC_DOMAINS, so they are only accepted after a live
+// check that the node is on the right chain and can see the configured contract.
+
+const STORAGE_KEY = 'happy-vote-custom-rpc';
+const VALIDATION_TIMEOUT_MS = 8000;
+
+// Only well-formed HTTPS URLs without credentials; anything else is never used
+export const isAcceptableCustomRpcUrl = (url) => {
+  if (!url || typeof url !== 'string') return false;
+  try {
+    const urlObj = new URL(url);
+    return urlObj.protocol === 'https:' && !urlObj.username && !urlObj.password;
+  } catch {
+    return false;
+  }
+};
+
+// { [networkKey]: url }, dropping anything malformed or for networks that no longer exist
+export const loadCustomRpcUrls = (networkKeys) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    if (!stored || typeof stored !== 'object' || Array.isArray(stored)) return {};
+    return Object.fromEntries(
+      Object.entries(stored).filter(([key, url]) => networkKeys.includes(key) && isAcceptableCustomRpcUrl(url))
+    );
+  } catch (err) {
+    console.warn("Error reading custom RPC settings from localStorage:", err);
+    return {};
+  }
+};
+
+export const saveCustomRpcUrls = (urls) => {
+  try {
+    if (Object.keys(urls).length === 0) {
+      localStorage.removeItem(STORAGE_KEY);
+    } else {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(urls));
+    }
+  } catch (err) {
+    console.warn("Error saving custom RPC settings to localStorage:", err);
+  }
+};
+
+// Resolves with the normalized URL, or throws an Error whose message is safe to show
+export const validateCustomRpcUrl = async (rawUrl, config) => {
+  const url = String(rawUrl || '').trim();
+  if (!isAcceptableCustomRpcUrl(url)) {
+    throw new Error("The RPC URL must be a valid https:// URL without embedded credentials");
+  }
+
+  const client = createPublicClient({ transport: http(url, { retryCount: 0, timeout: VALIDATION_TIMEOUT_MS }) });
+
+  let chainId;
+  try {
+    chainId = await client.getChainId();
+  } catch (err) {
+    console.warn(`Custom RPC ${url} did not answer eth_chainId:`, err);
+    throw new Error("The endpoint didn't answer eth_chainId. Check the URL and that it allows browser (CORS) requests");
+  }
+  if (chainId !== config.chainId) {
+    throw new Error(`The endpoint is on chain ${chainId}, but ${config.label} is chain ${config.chainId}`);
+  }
+
+  if (isValidAddress(config.contractAddress) && config.contractAddress !== ZERO_ADDRESS) {
+    let code;
+    try {
+      code = await client.getCode({ address: config.contractAddress });
+    } catch (err) {
+      console.warn(`Custom RPC ${url} failed eth_getCode:`, err);
+      throw new Error("The endpoint couldn't return the contract's code");
+    }
+    if (!code || code === '0x') {
+      throw new Error(`The endpoint reports no contract at ${config.contractAddress}; it may be out of sync or on a fork`);
+    }
+  }
+
+  return url;
+};
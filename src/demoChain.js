@@ -0,0 +1,808 @@
+import {
+  decodeFunctionData,
+  encodeAbiParameters,
+  encodeErrorResult,
+  encodeEventTopics,
+  encodeFunctionData,
+  encodeFunctionResult,
+  getAddress,
+  keccak256,
+  parseEther,
+  parseGwei,
+  toHex,
+} from "viem";
+import contractAbi from "./abiMainnet.json";
+
+// Demo mode: every network runs against an in-memory chain that emulates HappyVoteLeaderboardTopN
+// (24h cooldown, top-N leaderboard, gas refunds, pause) and a demo wallet that signs without
+// prompting, so the app can be tried without funds or a network connection.
+//
+// Toggled with ?demo=1 / ?demo=0 in the URL, or from the demo mode settings (saved in
+// localStorage). It is decided once per page load, before the network registry is built.
+
+const DEMO_STORAGE_KEY = 'happy-vote-demo';
+
+const readDemoFlag = () => {
+  if (typeof window === 'undefined') return false;
+  const param = new URLSearchParams(window.location.search).get('demo');
+  if (param !== null) return param !== '0' && param !== 'false';
+  try {
+    return window.localStorage.getItem(DEMO_STORAGE_KEY) === '1';
+  } catch {
+    return false;
+  }
+};
+
+const DEMO_MODE = readDemoFlag();
+
+export const isDemoMode = () => DEMO_MODE;
+
+// Save the choice and reload without the ?demo parameter, so the saved setting applies
+export const setDemoMode = (enabled) => {
+  try {
+    if (enabled) {
+      window.localStorage.setItem(DEMO_STORAGE_KEY, '1');
+    } else {
+      window.localStorage.removeItem(DEMO_STORAGE_KEY);
+    }
+  } catch (err) {
+    console.warn("Failed to save demo mode setting:", err);
+  }
+  const url = new URL(window.location.href);
+  url.searchParams.delete('demo');
+  window.location.assign(url.toString());
+};
+
+export const DEMO_CONTRACT_ADDRESS = getAddress("0xde30000000000000000000000000000000c0ffee");
+export const DEMO_ACCOUNT = getAddress("0xde30000000000000000000000000000000000001");
+
+const COOLDOWN = 86400n;
+const DEMO_TOP_N = 5n;
+const BASE_FEE = parseGwei("1");
+const PRIORITY_FEE = parseGwei("0.1");
+const BLOCK_GAS_LIMIT = 30000000n;
+const SEED_DAYS = 14;
+const SEED_VOTERS = 7;
+
+// Rough gas figures of the compiled contract; they only feed receipts and the refund estimate
+const TX_BASE_GAS = 21000n;
+const CALL_GAS = 30000n;
+const VOTE_GAS = { happy: 62000n, sad: 28000n }; // gasStart..gasAfterEffects span in vote()
+const REFUND_GAS = 12000n;
+const FIXED_OVERHEAD = 50000n;
+
+const ZERO_HASH = `0x${'0'.repeat(64)}`;
+const EMPTY_BLOOM = `0x${'0'.repeat(512)}`;
+const ERROR_ABI = [{ type: 'error', name: 'Error', inputs: [{ type: 'string', name: 'message' }] }];
+
+const seedVoterAddress = (index) => getAddress(`0xde30000000000000000000000000000000b0${String(index + 1).padStart(4, '0')}`);
+
+// One clock for all demo chains; fast-forwarding moves it (and every chain) ahead
+let timeOffset = 0;
+const currentTime = () => BigInt(Math.floor(Date.now() / 1000) + timeOffset);
+
+const rpcError = (code, message, data) => {
+  const err = new Error(message);
+  err.code = code;
+  if (data !== undefined) err.data = data;
+  return err;
+};
+
+const revert = (reason) => {
+  const err = new Error(reason);
+  err.revertReason = reason;
+  throw err;
+};
+
+const key = (address) => String(address).toLowerCase();
+const read = (map, address) => map.get(key(address)) ?? 0n;
+const add = (map, address, amount) => map.set(key(address), read(map, address) + amount);
+
+const createContractState = (owner) => ({
+  happyVotes: 0n,
+  sadVotes: 0n,
+  lastVotedAt: new Map(),
+  happyVoteCount: new Map(),
+  leaderboard: [],
+  indexOf: new Map(),
+  topN: DEMO_TOP_N,
+  owner,
+  refundEnabled: false,
+  maxRefundPerVoteWei: 0n,
+  totalRefunded: 0n,
+  refundedBy: new Map(),
+  owed: new Map(),
+  paused: false,
+});
+
+// Insertion and bubble-up exactly as in _updateLeaderboardOnHappyVote
+const updateLeaderboardOnHappyVote = (ctx, voter) => {
+  const { c } = ctx;
+  const voterCount = read(c.happyVoteCount, voter);
+  const bubbleUp = (start) => {
+    let idx = start;
+    while (idx > 0) {
+      const prevAddr = c.leaderboard[idx - 1];
+      if (voterCount <= read(c.happyVoteCount, prevAddr)) break;
+      c.leaderboard[idx - 1] = voter;
+      c.leaderboard[idx] = prevAddr;
+      c.indexOf.set(key(voter), BigInt(idx));
+      c.indexOf.set(key(prevAddr), BigInt(idx + 1));
+      idx--;
+    }
+  };
+
+  const currentIndex = read(c.indexOf, voter);
+  if (currentIndex > 0n) {
+    bubbleUp(Number(currentIndex) - 1);
+  } else if (BigInt(c.leaderboard.length) < c.topN) {
+    c.leaderboard.push(voter);
+    c.indexOf.set(key(voter), BigInt(c.leaderboard.length));
+    bubbleUp(c.leaderboard.length - 1);
+  } else {
+    const lastIndex = c.leaderboard.length - 1;
+    const lastAddr = c.leaderboard[lastIndex];
+    if (voterCount <= read(c.happyVoteCount, lastAddr)) return;
+    c.indexOf.set(key(lastAddr), 0n);
+    c.leaderboard[lastIndex] = voter;
+    c.indexOf.set(key(voter), BigInt(lastIndex + 1));
+    bubbleUp(lastIndex);
+  }
+  ctx.emit('LeaderboardUpdated', { by: ctx.sender, account: voter, newCount: voterCount });
+};
+
+// _processRefund: min(estimate, maxRefundPerVoteWei, balance), paid straight to the voter.
+// Pushing ETH to a demo account can't fail, so nothing ends up in owed here.
+const processRefund = (ctx, voteGas) => {
+  const { c } = ctx;
+  const estimatedWei = (voteGas + FIXED_OVERHEAD) * ctx.gasPrice;
+  if (estimatedWei === 0n) return;
+  let pay = estimatedWei;
+  if (pay > c.maxRefundPerVoteWei) pay = c.maxRefundPerVoteWei;
+  const balance = read(ctx.balances, ctx.contract);
+  if (pay > balance) pay = balance;
+  if (pay === 0n) return;
+  ctx.transfer(ctx.sender, pay);
+  c.totalRefunded += pay;
+  add(c.refundedBy, ctx.sender, pay);
+  ctx.emit('RefundPaid', { to: ctx.sender, requestedWei: estimatedWei, paidWei: pay });
+  ctx.gasUsed += REFUND_GAS;
+};
+
+const onlyOwner = (ctx) => {
+  if (key(ctx.sender) !== key(ctx.c.owner)) revert("Not owner");
+};
+
+const CONTRACT_FUNCTIONS = {
+  COOLDOWN: () => COOLDOWN,
+  happyVotes: ({ c }) => c.happyVotes,
+  sadVotes: ({ c }) => c.sadVotes,
+  lastVotedAt: ({ c }, [user]) => read(c.lastVotedAt, user),
+  happyVoteCount: ({ c }, [user]) => read(c.happyVoteCount, user),
+  topN: ({ c }) => c.topN,
+  owner: ({ c }) => c.owner,
+  refundEnabled: ({ c }) => c.refundEnabled,
+  maxRefundPerVoteWei: ({ c }) => c.maxRefundPerVoteWei,
+  totalRefunded: ({ c }) => c.totalRefunded,
+  refundedBy: ({ c }, [user]) => read(c.refundedBy, user),
+  owed: ({ c }, [user]) => read(c.owed, user),
+  paused: ({ c }) => c.paused,
+  getVotes: ({ c }) => [c.happyVotes, c.sadVotes],
+  getRefundStats: (ctx) => [
+    ctx.c.refundEnabled,
+    ctx.c.maxRefundPerVoteWei,
+    ctx.c.totalRefunded,
+    read(ctx.balances, ctx.contract),
+    read(ctx.c.refundedBy, ctx.sender),
+    read(ctx.c.owed, ctx.sender),
+  ],
+  canVote: (ctx, [user]) => ctx.timestamp - read(ctx.c.lastVotedAt, user) >= COOLDOWN,
+  timeUntilNextVote: (ctx, [user]) => {
+    const elapsed = ctx.timestamp - read(ctx.c.lastVotedAt, user);
+    return elapsed >= COOLDOWN ? 0n : COOLDOWN - elapsed;
+  },
+  getHappyLeaderboard: ({ c }) => [[...c.leaderboard], c.leaderboard.map((addr) => read(c.happyVoteCount, addr))],
+  getIndexOf: ({ c }, [account]) => read(c.indexOf, account),
+  getLeaderboardAddresses: ({ c }) => [...c.leaderboard],
+
+  vote: (ctx, [isHappy]) => {
+    const { c } = ctx;
+    if (c.paused) revert("Contract is paused");
+    if (ctx.timestamp - read(c.lastVotedAt, ctx.sender) < COOLDOWN) revert("You can only vote once every 24 hours");
+    c.lastVotedAt.set(key(ctx.sender), ctx.timestamp);
+    if (isHappy) {
+      c.happyVotes += 1n;
+      add(c.happyVoteCount, ctx.sender, 1n);
+      updateLeaderboardOnHappyVote(ctx, ctx.sender);
+    } else {
+      c.sadVotes += 1n;
+    }
+    ctx.emit('Voted', { user: ctx.sender, isHappy });
+    const voteGas = isHappy ? VOTE_GAS.happy : VOTE_GAS.sad;
+    ctx.gasUsed = voteGas;
+    if (c.refundEnabled) processRefund(ctx, voteGas);
+  },
+  transferOwnership: (ctx, [newOwner]) => {
+    onlyOwner(ctx);
+    if (BigInt(newOwner) === 0n) revert("zero address");
+    const old = ctx.c.owner;
+    ctx.c.owner = newOwner;
+    ctx.emit('OwnerTransferred', { oldOwner: old, newOwner });
+  },
+  setRefundEnabled: (ctx, [enabled]) => {
+    onlyOwner(ctx);
+    const oldValue = ctx.c.refundEnabled;
+    ctx.c.refundEnabled = enabled;
+    ctx.emit('RefundEnabledChanged', { oldValue, newValue: enabled });
+  },
+  setMaxRefundPerVote: (ctx, [maxWei]) => {
+    onlyOwner(ctx);
+    const oldValue = ctx.c.maxRefundPerVoteWei;
+    ctx.c.maxRefundPerVoteWei = maxWei;
+    ctx.emit('MaxRefundPerVoteChanged', { oldValue, newValue: maxWei });
+  },
+  deposit: (ctx) => {
+    if (ctx.value === 0n) revert("Must send value");
+    ctx.emit('FundsDeposited', { from: ctx.sender, amount: ctx.value });
+  },
+  withdraw: (ctx, [amountWei, to]) => {
+    onlyOwner(ctx);
+    if (BigInt(to) === 0n) revert("zero address");
+    if (amountWei === 0n) revert("amount must be > 0");
+    if (read(ctx.balances, ctx.contract) < amountWei) revert("Insufficient balance");
+    ctx.transfer(to, amountWei);
+    ctx.emit('FundsWithdrawn', { to, amount: amountWei });
+  },
+  pause: (ctx) => {
+    onlyOwner(ctx);
+    if (ctx.c.paused) revert("Already paused");
+    ctx.c.paused = true;
+    ctx.emit('Paused', { by: ctx.sender });
+  },
+  unpause: (ctx) => {
+    onlyOwner(ctx);
+    if (!ctx.c.paused) revert("Not paused");
+    ctx.c.paused = false;
+    ctx.emit('Unpaused', { by: ctx.sender });
+  },
+  claimRefund: (ctx) => {
+    const { c } = ctx;
+    const amount = read(c.owed, ctx.sender);
+    if (amount === 0n) revert("No refund owed");
+    if (read(ctx.balances, ctx.contract) < amount) revert("Insufficient contract balance");
+    c.owed.set(key(ctx.sender), 0n);
+    c.totalRefunded += amount;
+    add(c.refundedBy, ctx.sender, amount);
+    ctx.transfer(ctx.sender, amount);
+    ctx.emit('RefundClaimed', { to: ctx.sender, amount });
+  },
+  removeMember: (ctx, [account]) => {
+    onlyOwner(ctx);
+    const { c } = ctx;
+    const idx1 = read(c.indexOf, account);
+    if (idx1 === 0n) revert("not in leaderboard");
+    for (let i = Number(idx1) - 1; i + 1 < c.leaderboard.length; i++) {
+      c.leaderboard[i] = c.leaderboard[i + 1];
+      c.indexOf.set(key(c.leaderboard[i]), BigInt(i + 1));
+    }
+    c.leaderboard.pop();
+    c.indexOf.set(key(account), 0n);
+    ctx.emit('LeaderboardMemberRemoved', { account });
+  },
+  clearLeaderboard: (ctx) => {
+    onlyOwner(ctx);
+    ctx.c.leaderboard.forEach((addr) => ctx.c.indexOf.set(key(addr), 0n));
+    ctx.c.leaderboard = [];
+    ctx.emit('LeaderboardCleared', {});
+  },
+  setTopN: (ctx, [newTopN]) => {
+    onlyOwner(ctx);
+    const { c } = ctx;
+    if (newTopN === 0n) revert("topN must be > 0");
+    const old = c.topN;
+    if (newTopN === old) return;
+    c.topN = newTopN;
+    while (BigInt(c.leaderboard.length) > newTopN) {
+      c.indexOf.set(key(c.leaderboard.pop()), 0n);
+    }
+    ctx.emit('TopNChanged', { oldTopN: old, newTopN });
+  },
+};
+
+const encodeCall = (functionName, args = []) => encodeFunctionData({ abi: contractAbi, functionName, args });
+
+const isPayable = (functionName) => contractAbi.some(
+  (item) => item.type === 'function' && item.name === functionName && item.stateMutability === 'payable'
+);
+
+// Small deterministic PRNG so every chain gets the same seeded history on each load
+const createRandom = (seed) => {
+  let value = seed >>> 0;
+  return () => {
+    value = (Math.imul(value, 1664525) + 1013904223) >>> 0;
+    return value / 4294967296;
+  };
+};
+
+const quantity = (value) => toHex(value);
+
+const parseBlockTag = (tag, latest) => {
+  if (tag === undefined || tag === null || tag === 'latest' || tag === 'pending' || tag === 'safe' || tag === 'finalized') {
+    return latest;
+  }
+  if (tag === 'earliest') return 0n;
+  return BigInt(tag);
+};
+
+// EIP-1193 provider for one in-memory chain: the contract lives at DEMO_CONTRACT_ADDRESS,
+// each transaction is mined into its own block straight away
+const createDemoChain = (config) => {
+  const chainId = config.chainId;
+  let state = { contract: createContractState(DEMO_ACCOUNT), balances: new Map(), nonces: new Map() };
+  const blocks = [];
+  const transactions = new Map(); // hash -> { tx, receipt }
+  const filters = new Map();
+  let txCounter = 0;
+  let filterCounter = 0;
+
+  const latestBlock = () => blocks[blocks.length - 1];
+  const pendingTime = () => {
+    const now = currentTime();
+    return latestBlock() && latestBlock().timestamp > now ? latestBlock().timestamp : now;
+  };
+
+  const mineBlock = (timestamp = currentTime(), entries = []) => {
+    const parent = latestBlock();
+    const number = parent ? parent.number + 1n : 0n;
+    const blockTimestamp = parent && timestamp <= parent.timestamp ? parent.timestamp + 1n : timestamp;
+    const block = {
+      number,
+      hash: keccak256(toHex(`demo-block-${chainId}-${number}`)),
+      parentHash: parent ? parent.hash : ZERO_HASH,
+      timestamp: blockTimestamp,
+      transactions: [],
+      gasUsed: 0n,
+    };
+    blocks.push(block);
+    entries.forEach((entry) => entry(block));
+    return block;
+  };
+
+  // Runs one call against a copy of the state; the copy is returned so a transaction can keep it
+  const execute = ({ from, to, data, value = 0n, gasPrice = BASE_FEE + PRIORITY_FEE, timestamp = pendingTime() }) => {
+    const draft = structuredClone(state);
+    const sender = getAddress(from || `0x${'0'.repeat(40)}`);
+    const logs = [];
+    const ctx = {
+      c: draft.contract,
+      balances: draft.balances,
+      contract: DEMO_CONTRACT_ADDRESS,
+      sender,
+      value,
+      gasPrice,
+      timestamp,
+      gasUsed: 0n,
+      emit: (eventName, args) => logs.push({ eventName, args }),
+      transfer: (toAddress, amount) => {
+        add(draft.balances, DEMO_CONTRACT_ADDRESS, -amount);
+        add(draft.balances, toAddress, amount);
+      },
+    };
+
+    if (value > 0n) {
+      if (read(draft.balances, sender) < value) {
+        throw rpcError(-32000, "insufficient funds for transfer");
+      }
+      add(draft.balances, sender, -value);
+      add(draft.balances, to, value);
+    }
+
+    if (!to || key(to) !== key(DEMO_CONTRACT_ADDRESS)) {
+      return { draft, logs, result: '0x', gasUsed: TX_BASE_GAS };
+    }
+
+    let call;
+    try {
+      call = decodeFunctionData({ abi: contractAbi, data });
+    } catch {
+      revert(null);
+    }
+    if (value > 0n && !isPayable(call.functionName)) revert(null);
+    const returned = CONTRACT_FUNCTIONS[call.functionName](ctx, call.args || []);
+    const outputs = contractAbi.find((item) => item.type === 'function' && item.name === call.functionName)?.outputs || [];
+    const result = outputs.length > 0
+      ? encodeFunctionResult({ abi: contractAbi, functionName: call.functionName, result: returned })
+      : '0x';
+    return { draft, logs, result, gasUsed: TX_BASE_GAS + (ctx.gasUsed || CALL_GAS) };
+  };
+
+  const toRevertError = (err) => {
+    if (!('revertReason' in err)) return err;
+    if (err.revertReason == null) return rpcError(3, "execution reverted", '0x');
+    return rpcError(
+      3,
+      `execution reverted: ${err.revertReason}`,
+      encodeErrorResult({ abi: ERROR_ABI, errorName: 'Error', args: [err.revertReason] })
+    );
+  };
+
+  const simulate = (params) => {
+    try {
+      return execute(params);
+    } catch (err) {
+      throw toRevertError(err);
+    }
+  };
+
+  const encodeLog = ({ eventName, args }) => {
+    const event = contractAbi.find((item) => item.type === 'event' && item.name === eventName);
+    const dataInputs = event.inputs.filter((input) => !input.indexed);
+    return {
+      address: DEMO_CONTRACT_ADDRESS,
+      topics: encodeEventTopics({ abi: contractAbi, eventName, args }),
+      data: dataInputs.length > 0 ? encodeAbiParameters(dataInputs, dataInputs.map((input) => args[input.name])) : '0x',
+    };
+  };
+
+  // Mine a transaction into a new block. A revert is mined too (status 0), like on a real chain.
+  const mineTransaction = ({ from, to, data = '0x', value = 0n, gas, maxFeePerGas, maxPriorityFeePerGas, gasPrice }, timestamp) => {
+    const sender = getAddress(from);
+    const isLegacy = gasPrice != null;
+    const feeCap = isLegacy ? gasPrice : (maxFeePerGas ?? BASE_FEE + PRIORITY_FEE);
+    if (feeCap < BASE_FEE) {
+      throw rpcError(-32000, "max fee per gas less than block base fee");
+    }
+    const effectiveGasPrice = isLegacy
+      ? gasPrice
+      : (BASE_FEE + (maxPriorityFeePerGas ?? PRIORITY_FEE) < feeCap ? BASE_FEE + (maxPriorityFeePerGas ?? PRIORITY_FEE) : feeCap);
+    const gasLimit = gas ?? BLOCK_GAS_LIMIT;
+    if (read(state.balances, sender) < gasLimit * feeCap + value) {
+      throw rpcError(-32000, "insufficient funds for gas * price + value");
+    }
+
+    let outcome;
+    try {
+      outcome = execute({ from: sender, to, data, value, gasPrice: effectiveGasPrice, timestamp: timestamp ?? pendingTime() });
+    } catch (err) {
+      if (!('revertReason' in err)) throw err;
+      outcome = null;
+    }
+    const status = outcome !== null && outcome.gasUsed <= gasLimit;
+    const gasUsed = status ? outcome.gasUsed : (gasLimit < TX_BASE_GAS + CALL_GAS ? gasLimit : TX_BASE_GAS + CALL_GAS);
+    if (status) state = outcome.draft;
+    add(state.balances, sender, -(gasUsed * effectiveGasPrice));
+    const nonce = read(state.nonces, sender);
+    add(state.nonces, sender, 1n);
+
+    txCounter += 1;
+    const hash = keccak256(toHex(`demo-tx-${chainId}-${txCounter}`));
+    const block = mineBlock(timestamp ?? currentTime());
+    const logs = (status ? outcome.logs : []).map((log, logIndex) => ({
+      ...encodeLog(log),
+      blockNumber: block.number,
+      blockHash: block.hash,
+      transactionHash: hash,
+      transactionIndex: 0n,
+      logIndex: BigInt(logIndex),
+      removed: false,
+    }));
+    block.transactions.push(hash);
+    block.gasUsed = gasUsed;
+    transactions.set(hash, {
+      tx: { hash, from: sender, to: to ? getAddress(to) : null, data, value, nonce, gasLimit, isLegacy, feeCap, maxPriorityFeePerGas, effectiveGasPrice, block },
+      receipt: { status, gasUsed, effectiveGasPrice, logs, block },
+    });
+    return hash;
+  };
+
+  // Two weeks of votes from a few seeded accounts, so the leaderboard, charts and streaks have
+  // something to show, then the owner funds the refund pool and switches refunds on
+  const seed = () => {
+    const start = currentTime() - BigInt(SEED_DAYS) * COOLDOWN;
+    add(state.balances, DEMO_ACCOUNT, parseEther("10"));
+    mineBlock(start);
+
+    const random = createRandom(chainId);
+    const voters = Array.from({ length: SEED_VOTERS }, (_, index) => ({
+      address: seedVoterAddress(index),
+      turnout: 0.95 - index * 0.08,
+      happiness: 0.9 - index * 0.07,
+    }));
+    voters.forEach((voter) => add(state.balances, voter.address, parseEther("1")));
+
+    const votes = [];
+    for (let day = 0; day < SEED_DAYS; day++) {
+      voters.forEach((voter) => {
+        if (random() > voter.turnout) return;
+        const offset = BigInt(Math.floor(random() * 3600 * 6));
+        votes.push({ voter, isHappy: random() < voter.happiness, timestamp: start + BigInt(day) * COOLDOWN + 3600n + offset });
+      });
+    }
+    votes.sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+    votes.forEach(({ voter, isHappy, timestamp }) => {
+      mineTransaction({
+        from: voter.address,
+        to: DEMO_CONTRACT_ADDRESS,
+        data: encodeCall('vote', [isHappy]),
+        gasPrice: BASE_FEE,
+      }, timestamp);
+    });
+
+    const setupTime = currentTime() - 600n;
+    [
+      { data: encodeCall('setMaxRefundPerVote', [parseEther("0.0001")]) },
+      { data: encodeCall('deposit'), value: parseEther("0.05") },
+      { data: encodeCall('setRefundEnabled', [true]) },
+    ].forEach((call, index) => {
+      mineTransaction({ from: DEMO_ACCOUNT, to: DEMO_CONTRACT_ADDRESS, gasPrice: BASE_FEE, ...call }, setupTime + BigInt(index));
+    });
+  };
+
+  const matchesFilter = (log, { address, topics }) => {
+    if (address) {
+      const addresses = Array.isArray(address) ? address : [address];
+      if (!addresses.some((item) => key(item) === key(log.address))) return false;
+    }
+    return (topics || []).every((topic, index) => {
+      if (topic == null) return true;
+      const options = Array.isArray(topic) ? topic : [topic];
+      return options.some((option) => key(option) === key(log.topics[index] || ''));
+    });
+  };
+
+  const collectLogs = (criteria, fromBlock, toBlock) => {
+    const logs = [];
+    transactions.forEach(({ receipt }) => {
+      if (receipt.block.number < fromBlock || receipt.block.number > toBlock) return;
+      receipt.logs.forEach((log) => {
+        if (matchesFilter(log, criteria)) logs.push(log);
+      });
+    });
+    return logs.sort((a, b) => (a.blockNumber === b.blockNumber ? Number(a.logIndex - b.logIndex) : a.blockNumber < b.blockNumber ? -1 : 1));
+  };
+
+  const formatLog = (log) => ({
+    ...log,
+    blockNumber: quantity(log.blockNumber),
+    transactionIndex: quantity(log.transactionIndex),
+    logIndex: quantity(log.logIndex),
+  });
+
+  const formatTransaction = ({ tx }) => ({
+    hash: tx.hash,
+    blockHash: tx.block.hash,
+    blockNumber: quantity(tx.block.number),
+    transactionIndex: '0x0',
+    from: tx.from,
+    to: tx.to,
+    value: quantity(tx.value),
+    nonce: quantity(tx.nonce),
+    gas: quantity(tx.gasLimit),
+    input: tx.data,
+    chainId: quantity(chainId),
+    ...(tx.isLegacy
+      ? { type: '0x0', gasPrice: quantity(tx.feeCap), v: quantity(chainId * 2 + 35) }
+      : {
+        type: '0x2',
+        gasPrice: quantity(tx.effectiveGasPrice),
+        maxFeePerGas: quantity(tx.feeCap),
+        maxPriorityFeePerGas: quantity(tx.maxPriorityFeePerGas ?? PRIORITY_FEE),
+        accessList: [],
+        v: '0x0',
+        yParity: '0x0',
+      }),
+    // Demo transactions aren't signed; ethers still wants a well-formed signature
+    r: `0x${'1'.padStart(64, '0')}`,
+    s: `0x${'1'.padStart(64, '0')}`,
+  });
+
+  const formatReceipt = ({ tx, receipt }) => ({
+    transactionHash: tx.hash,
+    transactionIndex: '0x0',
+    blockHash: receipt.block.hash,
+    blockNumber: quantity(receipt.block.number),
+    from: tx.from,
+    to: tx.to,
+    cumulativeGasUsed: quantity(receipt.gasUsed),
+    gasUsed: quantity(receipt.gasUsed),
+    effectiveGasPrice: quantity(receipt.effectiveGasPrice),
+    contractAddress: null,
+    logs: receipt.logs.map(formatLog),
+    logsBloom: EMPTY_BLOOM,
+    status: receipt.status ? '0x1' : '0x0',
+    type: tx.isLegacy ? '0x0' : '0x2',
+  });
+
+  const formatBlock = (block, includeTransactions) => ({
+    number: quantity(block.number),
+    hash: block.hash,
+    parentHash: block.parentHash,
+    timestamp: quantity(block.timestamp),
+    nonce: '0x0000000000000000',
+    difficulty: '0x0',
+    totalDifficulty: '0x0',
+    gasLimit: quantity(BLOCK_GAS_LIMIT),
+    gasUsed: quantity(block.gasUsed),
+    baseFeePerGas: quantity(BASE_FEE),
+    miner: `0x${'0'.repeat(40)}`,
+    extraData: '0x',
+    logsBloom: EMPTY_BLOOM,
+    mixHash: ZERO_HASH,
+    sha3Uncles: ZERO_HASH,
+    stateRoot: ZERO_HASH,
+    receiptsRoot: ZERO_HASH,
+    transactionsRoot: ZERO_HASH,
+    size: '0x0',
+    uncles: [],
+    transactions: includeTransactions
+      ? block.transactions.map((hash) => formatTransaction(transactions.get(hash)))
+      : [...block.transactions],
+  });
+
+  const callParams = (params) => ({
+    from: params.from,
+    to: params.to,
+    data: params.data || params.input || '0x',
+    value: params.value != null ? BigInt(params.value) : 0n,
+  });
+
+  const handlers = {
+    eth_chainId: () => quantity(chainId),
+    net_version: () => String(chainId),
+    web3_clientVersion: () => 'HappyVote demo chain',
+    eth_syncing: () => false,
+    eth_blockNumber: () => quantity(latestBlock().number),
+    eth_getBlockByNumber: ([tag, includeTransactions]) => {
+      const block = blocks[Number(parseBlockTag(tag, latestBlock().number))];
+      return block ? formatBlock(block, includeTransactions) : null;
+    },
+    eth_getBlockByHash: ([hash, includeTransactions]) => {
+      const block = blocks.find((item) => item.hash === hash);
+      return block ? formatBlock(block, includeTransactions) : null;
+    },
+    eth_gasPrice: () => quantity(BASE_FEE + PRIORITY_FEE),
+    eth_maxPriorityFeePerGas: () => quantity(PRIORITY_FEE),
+    eth_feeHistory: ([blockCount, newestTag, percentiles = []]) => {
+      const newest = parseBlockTag(newestTag, latestBlock().number);
+      const count = BigInt(blockCount) > newest + 1n ? newest + 1n : BigInt(blockCount);
+      return {
+        oldestBlock: quantity(newest - count + 1n),
+        baseFeePerGas: Array.from({ length: Number(count) + 1 }, () => quantity(BASE_FEE)),
+        gasUsedRatio: Array.from({ length: Number(count) }, () => 0.01),
+        reward: Array.from({ length: Number(count) }, () => percentiles.map(() => quantity(PRIORITY_FEE))),
+      };
+    },
+    eth_getBalance: ([address]) => quantity(read(state.balances, address)),
+    eth_getTransactionCount: ([address]) => quantity(read(state.nonces, address)),
+    eth_getCode: ([address]) => (key(address) === key(DEMO_CONTRACT_ADDRESS) ? '0xde30' : '0x'),
+    eth_call: ([params]) => simulate(callParams(params)).result,
+    eth_estimateGas: ([params]) => quantity(simulate(callParams(params)).gasUsed),
+    eth_sendTransaction: ([params]) => mineTransaction({
+      ...callParams(params),
+      gas: params.gas != null ? BigInt(params.gas) : undefined,
+      gasPrice: params.gasPrice != null ? BigInt(params.gasPrice) : undefined,
+      maxFeePerGas: params.maxFeePerGas != null ? BigInt(params.maxFeePerGas) : undefined,
+      maxPriorityFeePerGas: params.maxPriorityFeePerGas != null ? BigInt(params.maxPriorityFeePerGas) : undefined,
+    }),
+    eth_getTransactionByHash: ([hash]) => (transactions.has(hash) ? formatTransaction(transactions.get(hash)) : null),
+    eth_getTransactionReceipt: ([hash]) => (transactions.has(hash) ? formatReceipt(transactions.get(hash)) : null),
+    eth_getLogs: ([criteria = {}]) => {
+      const latest = latestBlock().number;
+      if (criteria.blockHash) {
+        const block = blocks.find((item) => item.hash === criteria.blockHash);
+        return block ? collectLogs(criteria, block.number, block.number).map(formatLog) : [];
+      }
+      return collectLogs(criteria, parseBlockTag(criteria.fromBlock, latest), parseBlockTag(criteria.toBlock, latest)).map(formatLog);
+    },
+    eth_newFilter: ([criteria = {}]) => {
+      filterCounter += 1;
+      const id = quantity(filterCounter);
+      filters.set(id, { criteria, nextBlock: latestBlock().number + 1n });
+      return id;
+    },
+    eth_getFilterChanges: ([id]) => {
+      const filter = filters.get(id);
+      if (!filter) throw rpcError(-32000, "filter not found");
+      const latest = latestBlock().number;
+      const logs = collectLogs(filter.criteria, filter.nextBlock, latest);
+      filter.nextBlock = latest + 1n;
+      return logs.map(formatLog);
+    },
+    eth_uninstallFilter: ([id]) => filters.delete(id),
+  };
+
+  const request = async ({ method, params = [] }) => {
+    const handler = handlers[method];
+    if (!handler) {
+      throw rpcError(-32601, `The demo chain does not support ${method}`);
+    }
+    return handler(params);
+  };
+
+  seed();
+
+  return {
+    chainId,
+    request,
+    // An empty block at the current (possibly fast-forwarded) time
+    mineBlock: () => {
+      mineBlock(currentTime());
+    },
+  };
+};
+
+const chains = new Map(); // chainId -> demo chain
+
+// The demo chain standing in for a network; created (and seeded) on first use
+export const getDemoChain = (config) => {
+  if (!chains.has(config.chainId)) {
+    chains.set(config.chainId, createDemoChain(config));
+  }
+  return chains.get(config.chainId);
+};
+
+export const getDemoTime = () => Number(currentTime());
+
+// Move the demo clock forward and mine a block on every demo chain, so block.timestamp
+// (and with it the vote cooldown) catches up
+export const fastForwardDemoTime = (seconds) => {
+  timeOffset += seconds;
+  chains.forEach((chain) => chain.mineBlock());
+};
+
+let demoWallet = null;
+
+// Injected-style wallet (EIP-1193 with events) over the demo chains. It holds DEMO_ACCOUNT,
+// which also owns every demo contract, and approves every request without a prompt.
+export const getDemoWallet = (networks) => {
+  if (demoWallet) return demoWallet;
+  const listeners = new Map();
+  const emit = (event, payload) => (listeners.get(event) || []).forEach((listener) => listener(payload));
+  networks.forEach((config) => getDemoChain(config));
+  let activeChain = getDemoChain(networks[0]);
+  let connected = false;
+
+  const findChain = (chainIdHex) => chains.get(Number(BigInt(chainIdHex))) || null;
+
+  demoWallet = {
+    isDemo: true,
+    request: async ({ method, params = [] }) => {
+      switch (method) {
+        case 'eth_requestAccounts':
+          connected = true;
+          return [DEMO_ACCOUNT];
+        case 'eth_accounts':
+          return connected ? [DEMO_ACCOUNT] : [];
+        case 'wallet_switchEthereumChain':
+        case 'wallet_addEthereumChain': {
+          const chain = findChain(params[0]?.chainId);
+          if (!chain) throw rpcError(4902, "Unrecognized chain ID in the demo wallet");
+          if (chain !== activeChain) {
+            activeChain = chain;
+            emit('chainChanged', quantity(chain.chainId));
+          }
+          return null;
+        }
+        case 'eth_sendTransaction':
+          if (!connected || key(params[0]?.from || '') !== key(DEMO_ACCOUNT)) {
+            throw rpcError(4100, "The demo wallet can only send from the demo account");
+          }
+          return activeChain.request({ method, params });
+        case 'eth_sign':
+        case 'personal_sign':
+        case 'eth_signTypedData_v4':
+          throw rpcError(4200, "The demo wallet does not sign messages");
+        default:
+          return activeChain.request({ method, params });
+      }
+    },
+    on: (event, listener) => {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(listener);
+    },
+    removeListener: (event, listener) => {
+      listeners.get(event)?.delete(listener);
+    },
+  };
+  return demoWallet;
+};
@@ -0,0 +1,90 @@
+import { formatGwei, parseGwei } from "viem";
+
+// How a network's transactions are priced. Each NETWORK_LIST entry can override any field.
+//   gasLimitPadding        percent applied to the gas estimate (100 = no padding); vote() gas
+//                          depends on how far the voter climbs the leaderboard when it is mined,
+//                          which can differ from the estimate, so keep this at 150 or more
+//   mode                   'eip1559' (maxFeePerGas/maxPriorityFeePerGas from fee history),
+//                          'legacy' (gasPrice) or 'wallet' (leave pricing to the wallet)
+//   feeHistoryBlocks       how many recent blocks eth_feeHistory looks at
+//   priorityFeePercentile  reward percentile used for the priority fee
+//   minPriorityFeeGwei     floor for the priority fee
+//   baseFeeMultiplier      percent of the next block's base fee to allow for base fee growth
+//   maxFeeGwei             hard cap; if the base fee alone is above it, the write is refused
+export const DEFAULT_FEE_STRATEGY = {
+  gasLimitPadding: 150,
+  mode: 'eip1559',
+  feeHistoryBlocks: 10,
+  priorityFeePercentile: 50,
+  minPriorityFeeGwei: "0",
+  baseFeeMultiplier: 200,
+  maxFeeGwei: null,
+};
+
+export const getFeeStrategy = (config) => ({ ...DEFAULT_FEE_STRATEGY, ...(config?.feeStrategy || {}) });
+
+export const padGasLimit = (estimatedGas, strategy) => (estimatedGas * BigInt(strategy.gasLimitPadding)) / 100n;
+
+const median = (values) => {
+  if (values.length === 0) return 0n;
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+const feeCapError = (baseFee, cap) => {
+  const err = new Error(`Base fee ${formatGwei(baseFee)} gwei is above the ${formatGwei(cap)} gwei cap`);
+  err.userMessage = `Network fees are unusually high right now (${Number(formatGwei(baseFee)).toPrecision(3)} gwei). Try again later`;
+  return err;
+};
+
+const fromFeeHistory = async (client, strategy) => {
+  const history = await client.getFeeHistory({
+    blockCount: strategy.feeHistoryBlocks,
+    rewardPercentiles: [strategy.priorityFeePercentile],
+    blockTag: 'latest',
+  });
+  // baseFeePerGas has one extra entry: the base fee of the next block
+  const nextBaseFee = history.baseFeePerGas[history.baseFeePerGas.length - 1] ?? 0n;
+  const rewards = (history.reward || []).map((blockRewards) => blockRewards[0] ?? 0n);
+  return { nextBaseFee, priorityFee: median(rewards) };
+};
+
+// Transaction fee fields for the next write on this network: { maxFeePerGas, maxPriorityFeePerGas },
+// { gasPrice }, or {} when the wallet should decide. Falls back to viem's estimateFeesPerGas,
+// then to the wallet, if the RPC can't answer eth_feeHistory.
+export const resolveFees = async (client, strategy) => {
+  if (strategy.mode === 'wallet') return {};
+  const cap = strategy.maxFeeGwei != null ? parseGwei(String(strategy.maxFeeGwei)) : null;
+
+  if (strategy.mode === 'legacy') {
+    const gasPrice = await client.getGasPrice();
+    if (cap != null && gasPrice > cap) throw feeCapError(gasPrice, cap);
+    return { gasPrice };
+  }
+
+  let nextBaseFee;
+  let priorityFee;
+  try {
+    ({ nextBaseFee, priorityFee } = await fromFeeHistory(client, strategy));
+  } catch (historyErr) {
+    console.warn("eth_feeHistory unavailable, using estimateFeesPerGas:", historyErr?.shortMessage || historyErr?.message);
+    try {
+      const estimate = await client.estimateFeesPerGas();
+      nextBaseFee = estimate.maxFeePerGas - estimate.maxPriorityFeePerGas;
+      priorityFee = estimate.maxPriorityFeePerGas;
+    } catch (estimateErr) {
+      console.warn("Fee estimation unavailable, leaving fees to the wallet:", estimateErr?.shortMessage || estimateErr?.message);
+      return {};
+    }
+  }
+
+  const minPriorityFee = parseGwei(String(strategy.minPriorityFeeGwei));
+  if (priorityFee < minPriorityFee) priorityFee = minPriorityFee;
+  if (cap != null && nextBaseFee > cap) throw feeCapError(nextBaseFee, cap);
+
+  let maxFeePerGas = (nextBaseFee * BigInt(strategy.baseFeeMultiplier)) / 100n + priorityFee;
+  if (cap != null && maxFeePerGas > cap) maxFeePerGas = cap;
+  const maxPriorityFeePerGas = priorityFee > maxFeePerGas ? maxFeePerGas : priorityFee;
+
+  return { maxFeePerGas, maxPriorityFeePerGas };
+};
@@ -1,11 +1,29 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
-import App from "./App";
-import { AppWagmiProvider } from "./WagmiProvider";
+import { loadRuntimeConfig } from "./runtimeConfig";
 
 const root = ReactDOM.createRoot(document.getElementById("root"));
-root.render(
-  <AppWagmiProvider>
-    <App />
-  </AppWagmiProvider>
-);
+
+// config.json has to be in place before the network registry (and the wallet setup built
+// from it) is evaluated, so the app modules are only imported once it has loaded
+loadRuntimeConfig()
+  .then(() => Promise.all([import("./App"), import("./WagmiProvider")]))
+  .then(([{ default: App }, { AppWagmiProvider }]) => {
+    root.render(
+      <AppWagmiProvider>
+        <App />
+      </AppWagmiProvider>
+    );
+  })
+  .catch((err) => {
+    // A network definition that fails validation (e.g. from a bad config.json) or a chunk that
+    // didn't load would otherwise leave a blank page
+    console.error("Failed to start the app:", err);
+    root.render(
+      <div className="app-container" role="alert">
+        <h1>The app could not start</h1>
+        <p>{err?.message || String(err)}</p>
+        <p>Reload the page to try again. If this keeps happening, check the deployment's config.json.</p>
+      </div>
+    );
+  });
@@ -0,0 +1,366 @@
+import testnetAbi from "./abi.json";
+import mainnetAbi from "./abiMainnet.json";
+import { ZERO_ADDRESS, isValidAddress, isValidAbi } from "./utils";
+import { MULTICALL3_ADDRESS } from "./contractReads";
+import { getRuntimeConfig, reportConfigError } from "./runtimeConfig";
+import { isDemoMode, DEMO_CONTRACT_ADDRESS } from "./demoChain";
+
+// The one place networks are defined. Everything else (the selector, badges, copy, viem
+// clients, the AppKit/wagmi chain list, the RPC whitelist) is derived from NETWORK_LIST,
+// so adding a chain means adding one entry here. A deployment's config.json (see
+// runtimeConfig.js) can disable entries and override addresses, RPCs and deploy blocks.
+// In demo mode every entry points at the in-memory demo contract instead (demoChain.js).
+//
+// Entry fields:
+//   key              id used in URLs, localStorage and NETWORKS
+//   label            short name for the selector, badges and copy
+//   chainName        full name for wallets and the AppKit modal (defaults to label)
+//   chainId          EIP-155 chain id
+//   icon             'monad' | 'ethereum' | 'base' (testnets get the grey variant)
+//   rpcUrls          HTTPS endpoints, best first; hosts must be in ALLOWED_RPC_DOMAINS
+//   explorerUrl/explorerName (optional for local chains)
+//   nativeCurrency   { name, symbol, decimals }
+//   contractAddress  HappyVote deployment (ZERO_ADDRESS when not deployed)
+//   donationAddress  where donations on this network go (null disables donating)
+//   abi              contract ABI
+//   deployBlock      first block worth scanning for events; optional, since history scans
+//                    look it up on chain when it's missing (see resolveDeployBlock)
+//   multicallAddress Multicall3 address if the chain has one
+//   hasLeaderboard   contract exposes getHappyLeaderboard
+//   feeStrategy      see feeStrategy.js
+//   donationAmount   default donation in the native currency
+//   maxTransfer      upper bound for any native-currency amount typed into the UI
+//   testnet          testnet badge and grey icon; hidden from mainnet-only totals
+//   devOnly          only present in development builds; may use http:// loopback RPCs
+
+const IS_DEVELOPMENT = process.env.NODE_ENV === 'development';
+
+// Optional contract deploy block override (lower bound for event history scans)
+const parseBlockNumber = (value) => {
+  if (!value || !/^\d+$/.test(String(value).trim())) return null;
+  return String(value).trim();
+};
+
+// A mistyped contract address in .env disables that network's contract instead of
+// pointing the app at a wrong address
+const envContractAddress = (name, fallback = ZERO_ADDRESS) => {
+  const value = process.env[name];
+  if (!value) return fallback;
+  if (!isValidAddress(value)) {
+    reportConfigError(name, "is not a valid address, contract disabled");
+    return ZERO_ADDRESS;
+  }
+  return value;
+};
+
+const envDonationAddress = () => {
+  const value = process.env.REACT_APP_DONATION_ADDRESS;
+  if (!value) return null;
+  if (!isValidAddress(value)) {
+    reportConfigError('REACT_APP_DONATION_ADDRESS', "is not a valid address, donations disabled");
+    return null;
+  }
+  return value;
+};
+
+const NETWORK_DEFINITIONS = [
+  {
+    key: 'mainnet',
+    label: 'Monad',
+    chainName: 'Monad Mainnet',
+    chainId: 143,
+    icon: 'monad',
+    rpcUrls: ["https://rpc1.monad.xyz", "https://rpc.monad.xyz", "https://rpc-mainnet.monadinfra.com"],
+    explorerUrl: "https://monadvision.com",
+    explorerName: "Monad Explorer",
+    nativeCurrency: { name: "Monad", symbol: "MON", decimals: 18 },
+    contractAddress: envContractAddress('REACT_APP_MAINNET_CONTRACT_ADDRESS', "0xdFFEFD8eF040702A4657a98f189860169104257A"),
+    abi: mainnetAbi,
+    deployBlock: parseBlockNumber(process.env.REACT_APP_MAINNET_DEPLOY_BLOCK),
+    multicallAddress: MULTICALL3_ADDRESS,
+    hasLeaderboard: true,
+    // Monad charges for the gas limit, not gas used, but vote() bubbles the voter up the leaderboard
+    // as it stands at inclusion, not at estimation, so the padding can't be tighter than the default
+    feeStrategy: { gasLimitPadding: 150, baseFeeMultiplier: 150, maxFeeGwei: 1000 },
+    donationAmount: "50",
+    maxTransfer: "1000",
+    testnet: false,
+  },
+  {
+    key: 'ethMainnet',
+    label: 'Ethereum',
+    chainId: 1,
+    icon: 'ethereum',
+    rpcUrls: ["https://eth.llamarpc.com", "https://ethereum-rpc.publicnode.com", "https://eth.drpc.org"],
+    explorerUrl: "https://etherscan.io",
+    explorerName: "Ethereum",
+    nativeCurrency: { name: "Ethereum", symbol: "ETH", decimals: 18 },
+    contractAddress: envContractAddress('REACT_APP_ETH_MAINNET_CONTRACT_ADDRESS'),
+    abi: mainnetAbi,
+    deployBlock: parseBlockNumber(process.env.REACT_APP_ETH_MAINNET_DEPLOY_BLOCK),
+    multicallAddress: MULTICALL3_ADDRESS,
+    hasLeaderboard: true,
+    feeStrategy: { gasLimitPadding: 150, priorityFeePercentile: 50, minPriorityFeeGwei: "0.05", maxFeeGwei: 150 },
+    donationAmount: "0.0005",
+    maxTransfer: "100",
+    testnet: false,
+  },
+  {
+    key: 'baseMainnet',
+    label: 'Base',
+    chainId: 8453,
+    icon: 'base',
+    rpcUrls: ["https://base-rpc.publicnode.com", "https://mainnet.base.org", "https://base.llamarpc.com"],
+    explorerUrl: "https://basescan.org",
+    explorerName: "Base",
+    nativeCurrency: { name: "Ethereum", symbol: "ETH", decimals: 18 },
+    contractAddress: envContractAddress('REACT_APP_BASE_MAINNET_CONTRACT_ADDRESS'),
+    abi: mainnetAbi,
+    deployBlock: parseBlockNumber(process.env.REACT_APP_BASE_MAINNET_DEPLOY_BLOCK),
+    multicallAddress: MULTICALL3_ADDRESS,
+    hasLeaderboard: true,
+    feeStrategy: { gasLimitPadding: 150, priorityFeePercentile: 50, minPriorityFeeGwei: "0.001", maxFeeGwei: 5 },
+    donationAmount: "0.0005",
+    maxTransfer: "100",
+    testnet: false,
+  },
+  {
+    key: 'testnet',
+    label: 'Monad Testnet',
+    chainId: 10143,
+    icon: 'monad',
+    rpcUrls: ["https://testnet-rpc.monad.xyz", "https://monad-testnet.drpc.org"],
+    explorerUrl: "https://testnet.monadvision.com",
+    explorerName: "Monad Explorer",
+    nativeCurrency: { name: "Monad", symbol: "MON", decimals: 18 },
+    contractAddress: envContractAddress('REACT_APP_TESTNET_CONTRACT_ADDRESS', "0x40198e59306181e69affa25c69c5ba50f8f4cd0e"),
+    abi: testnetAbi,
+    deployBlock: parseBlockNumber(process.env.REACT_APP_TESTNET_DEPLOY_BLOCK),
+    multicallAddress: MULTICALL3_ADDRESS,
+    hasLeaderboard: false,
+    feeStrategy: { gasLimitPadding: 150, baseFeeMultiplier: 150, maxFeeGwei: 1000 },
+    donationAmount: "1",
+    maxTransfer: "1000",
+    testnet: true,
+  },
+  {
+    key: 'sepolia',
+    label: 'Sepolia',
+    chainName: 'Ethereum Sepolia',
+    chainId: 11155111,
+    icon: 'ethereum',
+    rpcUrls: ["https://ethereum-sepolia-rpc.publicnode.com", "https://sepolia.drpc.org"],
+    explorerUrl: "https://sepolia.etherscan.io",
+    explorerName: "Sepolia Ethereum",
+    nativeCurrency: { name: "Sepolia", symbol: "ETH", decimals: 18 },
+    contractAddress: envContractAddress('REACT_APP_SEPOLIA_CONTRACT_ADDRESS'),
+    abi: mainnetAbi,
+    deployBlock: parseBlockNumber(process.env.REACT_APP_SEPOLIA_DEPLOY_BLOCK),
+    multicallAddress: MULTICALL3_ADDRESS,
+    hasLeaderboard: true,
+    feeStrategy: { gasLimitPadding: 150, priorityFeePercentile: 50, maxFeeGwei: 500 },
+    donationAmount: "1",
+    maxTransfer: "100",
+    testnet: true,
+  },
+  {
+    // Anvil / Hardhat node for offline end-to-end runs; `npm run deploy:local` deploys the
+    // contract and fills in the REACT_APP_LOCAL_* values
+    key: 'local',
+    label: 'Localhost',
+    chainId: 31337,
+    icon: 'ethereum',
+    rpcUrls: [process.env.REACT_APP_LOCAL_RPC_URL || "http://127.0.0.1:8545"],
+    explorerUrl: null,
+    explorerName: null,
+    nativeCurrency: { name: "Ethereum", symbol: "ETH", decimals: 18 },
+    contractAddress: envContractAddress('REACT_APP_LOCAL_CONTRACT_ADDRESS'),
+    abi: mainnetAbi,
+    deployBlock: parseBlockNumber(process.env.REACT_APP_LOCAL_DEPLOY_BLOCK),
+    multicallAddress: null,
+    hasLeaderboard: true,
+    feeStrategy: { gasLimitPadding: 150 },
+    donationAmount: "1",
+    maxTransfer: "1000",
+    testnet: true,
+    devOnly: true,
+  },
+];
+
+const NETWORK_ICONS = ['monad', 'ethereum', 'base'];
+
+const isHttpsUrl = (url) => {
+  try {
+    return new URL(url).protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '[::1]'];
+
+const isLoopbackHttpUrl = (url) => {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.protocol === 'http:' && LOOPBACK_HOSTS.includes(urlObj.hostname);
+  } catch {
+    return false;
+  }
+};
+
+// Whitelist of allowed RPC endpoints to prevent RPC endpoint substitution attacks. Kept apart
+// from the definitions on purpose: config.json can pick among these hosts, never add one.
+const ALLOWED_RPC_DOMAINS = [
+  'rpc1.monad.xyz',
+  'rpc.monad.xyz',
+  'rpc-mainnet.monadinfra.com',
+  'testnet-rpc.monad.xyz',
+  'monad-testnet.drpc.org',
+  'eth.llamarpc.com',
+  'ethereum-rpc.publicnode.com',
+  'eth.drpc.org',
+  'base-rpc.publicnode.com',
+  'mainnet.base.org',
+  'base.llamarpc.com',
+  'ethereum-sepolia-rpc.publicnode.com',
+  'sepolia.drpc.org',
+];
+
+// Validate RPC URL to prevent endpoint substitution attacks
+export const isValidRpcUrl = (url) => {
+  if (!url || typeof url !== 'string') return false;
+  // Plain HTTP only to a local dev chain in development builds
+  if (IS_DEVELOPMENT && isLoopbackHttpUrl(url)) return true;
+  try {
+    const urlObj = new URL(url);
+    // Only allow HTTPS
+    if (urlObj.protocol !== 'https:') return false;
+    // Check if domain is in whitelist
+    return ALLOWED_RPC_DOMAINS.some(domain => urlObj.hostname === domain || urlObj.hostname.endsWith('.' + domain));
+  } catch (err) {
+    console.error("Invalid RPC URL format:", url, err);
+    return false;
+  }
+};
+
+// Structural mistakes in a definition are programming errors: fail at startup, not mid-vote
+const validateNetwork = (network, seen) => {
+  const problems = [];
+  if (!network.key || !/^[A-Za-z][A-Za-z0-9]*$/.test(network.key)) problems.push("key must be alphanumeric");
+  if (seen.keys.has(network.key)) problems.push("duplicate key");
+  if (!Number.isSafeInteger(network.chainId) || network.chainId <= 0) problems.push("chainId must be a positive integer");
+  if (seen.chainIds.has(network.chainId)) problems.push(`duplicate chainId ${network.chainId}`);
+  if (!network.label) problems.push("label is required");
+  if (!NETWORK_ICONS.includes(network.icon)) problems.push(`icon must be one of ${NETWORK_ICONS.join(', ')}`);
+  const isAllowedRpcUrl = (url) => isHttpsUrl(url) || (network.devOnly && isLoopbackHttpUrl(url));
+  if (!Array.isArray(network.rpcUrls) || network.rpcUrls.length === 0 || !network.rpcUrls.every(isAllowedRpcUrl)) {
+    problems.push("rpcUrls must be a non-empty list of https URLs");
+  }
+  if (network.explorerUrl != null && !isHttpsUrl(network.explorerUrl)) problems.push("explorerUrl must be an https URL");
+  const currency = network.nativeCurrency;
+  if (!currency?.name || !currency?.symbol || !Number.isInteger(currency?.decimals)) problems.push("nativeCurrency is incomplete");
+  if (!isValidAddress(network.contractAddress)) problems.push("contractAddress is not an address");
+  if (!isValidAbi(network.abi)) problems.push("abi is not a valid ABI");
+  if (network.multicallAddress && !isValidAddress(network.multicallAddress)) problems.push("multicallAddress is not an address");
+  if (typeof network.testnet !== 'boolean') problems.push("testnet must be true or false");
+  if (problems.length > 0) {
+    throw new Error(`Invalid network definition "${network.key}": ${problems.join('; ')}`);
+  }
+  seen.keys.add(network.key);
+  seen.chainIds.add(network.chainId);
+};
+
+// Built-in definitions with the deployment's config.json applied (already schema-checked
+// in runtimeConfig.js; only network keys are checked here)
+const applyRuntimeConfig = (definitions, runtime) => {
+  const available = definitions.filter((definition) => IS_DEVELOPMENT || !definition.devOnly);
+  const knownKeys = available.map((definition) => definition.key);
+  Object.keys(runtime.networks).forEach((key) => {
+    if (!knownKeys.includes(key)) reportConfigError(`networks.${key}`, `is not a known network (${knownKeys.join(', ')})`);
+  });
+
+  let enabled = available.filter((definition) => runtime.networks[definition.key]?.enabled !== false);
+  if (enabled.length === 0) {
+    reportConfigError("networks", "disables every network; the enabled flags were ignored");
+    enabled = available;
+  }
+
+  const fallbackDonationAddress = runtime.donationAddress || envDonationAddress();
+  return enabled.map((definition) => {
+    const { enabled: _enabled, ...overrides } = runtime.networks[definition.key] || {};
+    if (overrides.rpcUrls) {
+      const allowed = overrides.rpcUrls.filter(isValidRpcUrl);
+      overrides.rpcUrls.filter((url) => !allowed.includes(url)).forEach((url) => {
+        reportConfigError(`networks.${definition.key}.rpcUrls`, `${url} is not on the RPC whitelist, ignored`);
+      });
+      if (allowed.length > 0) {
+        overrides.rpcUrls = allowed;
+      } else {
+        delete overrides.rpcUrls;
+      }
+    }
+    return { donationAddress: fallbackDonationAddress, ...definition, ...overrides };
+  });
+};
+
+// The demo chain runs the full contract for every network and has no explorer or Multicall3
+const applyDemoMode = (definition) => ({
+  ...definition,
+  contractAddress: DEMO_CONTRACT_ADDRESS,
+  abi: mainnetAbi,
+  deployBlock: "0",
+  multicallAddress: null,
+  hasLeaderboard: true,
+  explorerUrl: null,
+});
+
+const buildRegistry = (definitions) => {
+  const seen = { keys: new Set(), chainIds: new Set() };
+  const configured = applyRuntimeConfig(definitions, getRuntimeConfig());
+  return (isDemoMode() ? configured.map(applyDemoMode) : configured).map((definition) => {
+    validateNetwork(definition, seen);
+    return Object.freeze({
+      ...definition,
+      chainName: definition.chainName || definition.label,
+      chainHex: `0x${definition.chainId.toString(16)}`,
+      deployBlock: definition.deployBlock ?? null,
+      multicallAddress: definition.multicallAddress ?? null,
+      hasLeaderboard: Boolean(definition.hasLeaderboard),
+      explorerUrl: definition.explorerUrl ?? null,
+      devOnly: Boolean(definition.devOnly),
+    });
+  });
+};
+
+export const NETWORK_LIST = buildRegistry(NETWORK_DEFINITIONS);
+
+export const NETWORKS = Object.fromEntries(NETWORK_LIST.map((network) => [network.key, network]));
+
+const resolveDefaultNetworkKey = () => {
+  const { defaultNetwork } = getRuntimeConfig();
+  if (!defaultNetwork) return NETWORK_LIST[0].key;
+  if (NETWORKS[defaultNetwork]) return defaultNetwork;
+  reportConfigError("defaultNetwork", `"${defaultNetwork}" is not an enabled network`);
+  return NETWORK_LIST[0].key;
+};
+
+export const DEFAULT_NETWORK_KEY = resolveDefaultNetworkKey();
+
+export const getNetworkByChainId = (chainId) => (
+  chainId == null ? null : NETWORK_LIST.find((network) => network.chainId === Number(chainId)) || null
+);
+
+// viem chain objects, used for the public clients and as the AppKit/wagmi network list
+export const NETWORK_CHAIN_CONFIG = Object.fromEntries(NETWORK_LIST.map((network) => [network.key, {
+  id: network.chainId,
+  name: network.chainName,
+  network: network.key,
+  nativeCurrency: network.nativeCurrency,
+  rpcUrls: {
+    default: { http: [...network.rpcUrls] },
+    public: { http: [...network.rpcUrls] },
+  },
+  ...(network.explorerUrl ? { blockExplorers: { default: { name: network.explorerName, url: network.explorerUrl } } } : {}),
+  ...(network.multicallAddress ? { contracts: { multicall3: { address: network.multicallAddress } } } : {}),
+  testnet: network.testnet,
+}]));
@@ -0,0 +1,68 @@
+import { useCallback, useEffect, useState } from "react";
+
+// Minimal history-based routing. vercel.json rewrites every path to index.html, so these
+// paths are all served by the same bundle:
+//   /:network                 network dashboard
+//   /:network/leaderboard     leaderboard
+//   /:network/address/:addr   mood calendar for an address
+//   /:network/admin           owner console
+export const ROUTE_VIEWS = ['home', 'leaderboard', 'address', 'admin'];
+
+export const parseRoute = (pathname) => {
+  const segments = (pathname || '/')
+    .split('/')
+    .filter(Boolean)
+    .map((segment) => {
+      try {
+        return decodeURIComponent(segment);
+      } catch {
+        return segment;
+      }
+    });
+
+  const [network = null, view = null, param = null] = segments;
+  if (view === 'leaderboard' || view === 'admin') {
+    return { network, view, address: null };
+  }
+  if (view === 'address' && param) {
+    return { network, view, address: param };
+  }
+  return { network, view: 'home', address: null };
+};
+
+export const buildPath = ({ network, view = 'home', address = null }) => {
+  if (!network) return '/';
+  const base = `/${encodeURIComponent(network)}`;
+  if (view === 'leaderboard' || view === 'admin') return `${base}/${view}`;
+  if (view === 'address' && address) return `${base}/address/${encodeURIComponent(address)}`;
+  return base;
+};
+
+// Current route plus a navigate(route, { replace }) helper; follows back/forward navigation.
+// navigate also takes an updater, (currentRoute) => nextRoute, for callers that resolve later
+// and must not bring back a route captured before the user moved on.
+export const useRoute = () => {
+  const [route, setRoute] = useState(() => (
+    typeof window === 'undefined' ? parseRoute('/') : parseRoute(window.location.pathname)
+  ));
+
+  useEffect(() => {
+    if (typeof window === 'undefined') return undefined;
+    const handlePopState = () => setRoute(parseRoute(window.location.pathname));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const navigate = useCallback((next, { replace = false } = {}) => {
+    if (typeof window === 'undefined') return;
+    const nextRoute = typeof next === 'function' ? next(parseRoute(window.location.pathname)) : next;
+    const path = buildPath(nextRoute);
+    if (path !== window.location.pathname) {
+      const method = replace ? 'replaceState' : 'pushState';
+      window.history[method](null, '', `${path}${window.location.search}${window.location.hash}`);
+    }
+    setRoute(parseRoute(path));
+  }, []);
+
+  return [route, navigate];
+};
@@ -0,0 +1,174 @@
+import { custom, http } from "viem";
+
+// Several RPC endpoints behind one viem transport. Requests go to the best-ranked endpoint;
+// on a connection error, timeout, rate limit or server fault the next one is tried and the
+// failed endpoint sits out for an exponentially growing cooldown. Ranking is by measured
+// latency (rolling average of real requests plus periodic eth_blockNumber probes).
+
+const REQUEST_TIMEOUT_MS = 8000;
+const PROBE_TIMEOUT_MS = 3000;
+const PROBE_INTERVAL_MS = 60000;
+const LATENCY_SAMPLES = 5;
+const BASE_COOLDOWN_MS = 2000;
+const MAX_COOLDOWN_MS = 120000;
+// When every endpoint failed, viem retries the whole request with exponential backoff
+const POOL_RETRY_COUNT = 2;
+const POOL_RETRY_DELAY_MS = 500;
+
+// JSON-RPC codes that mean "this node can't serve you right now", not "your call is bad"
+const ENDPOINT_FAILURE_CODES = new Set([
+  -32005, // limit exceeded
+  -32603, // internal error (unless it is a revert, see isEndpointFailure)
+  -32601, // method not found (pruned or restricted node)
+  -32002, // resource unavailable
+  -1, // unknown transport error
+]);
+
+// Ordinary contract reverts: the node answered fine, another endpoint would answer the same
+const isRevert = (err) => (
+  /revert/i.test(err.details || err.message || '') ||
+  (typeof err.data === 'string' && err.data.startsWith('0x') && err.data.length > 2)
+);
+
+const isEndpointFailure = (err) => {
+  if (!err) return false;
+  if (err.name === 'HttpRequestError' || err.name === 'TimeoutError') return true;
+  // -32000 and -32603 cover both reverts (Hardhat and some nodes report them as internal errors)
+  // and node trouble like "header not found"
+  if (err.code === -32000 || err.code === -32603 || err.name === 'InternalRpcError') return !isRevert(err);
+  if (err.name === 'LimitExceededRpcError') return true;
+  return typeof err.code === 'number' && ENDPOINT_FAILURE_CODES.has(err.code);
+};
+
+const averageLatency = (endpoint) => (
+  endpoint.latencies.length === 0
+    ? null
+    : Math.round(endpoint.latencies.reduce((sum, value) => sum + value, 0) / endpoint.latencies.length)
+);
+
+export const formatRpcHost = (url) => {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return url;
+  }
+};
+
+// customUrls: the subset of urls the user added in settings; preferred while healthy and flagged in the status
+export const createRpcPool = ({ chain, urls, customUrls = [] }) => {
+  const endpoints = urls.map((url, index) => ({
+    url,
+    index,
+    custom: customUrls.includes(url),
+    transport: http(url, { retryCount: 0, timeout: REQUEST_TIMEOUT_MS })({ chain, retryCount: 0 }),
+    latencies: [],
+    failures: 0,
+    cooldownUntil: 0,
+    lastError: null,
+  }));
+  const listeners = new Set();
+  let activeUrl = null;
+  let lastProbeAt = 0;
+  let status = null;
+
+  const buildStatus = () => ({
+    activeUrl,
+    endpoints: endpoints.map((endpoint) => ({
+      url: endpoint.url,
+      custom: endpoint.custom,
+      latency: averageLatency(endpoint),
+      healthy: endpoint.cooldownUntil <= Date.now(),
+      failures: endpoint.failures,
+      lastError: endpoint.lastError,
+    })),
+  });
+
+  const notify = () => {
+    status = buildStatus();
+    listeners.forEach((listener) => listener(status));
+  };
+
+  // Endpoints out of cooldown first, then the user's own node, then fastest; unmeasured
+  // endpoints keep config order
+  const ranked = () => {
+    const now = Date.now();
+    return [...endpoints].sort((a, b) => {
+      const aCooling = a.cooldownUntil > now;
+      const bCooling = b.cooldownUntil > now;
+      if (aCooling !== bCooling) return aCooling ? 1 : -1;
+      if (aCooling) return a.cooldownUntil - b.cooldownUntil;
+      if (a.custom !== b.custom) return a.custom ? -1 : 1;
+      const aLatency = averageLatency(a) ?? PROBE_TIMEOUT_MS;
+      const bLatency = averageLatency(b) ?? PROBE_TIMEOUT_MS;
+      return aLatency - bLatency || a.index - b.index;
+    });
+  };
+
+  const recordSuccess = (endpoint, latency) => {
+    endpoint.latencies = [...endpoint.latencies, latency].slice(-LATENCY_SAMPLES);
+    endpoint.failures = 0;
+    endpoint.cooldownUntil = 0;
+    endpoint.lastError = null;
+  };
+
+  const recordFailure = (endpoint, err) => {
+    endpoint.failures += 1;
+    endpoint.cooldownUntil = Date.now() + Math.min(MAX_COOLDOWN_MS, BASE_COOLDOWN_MS * 2 ** (endpoint.failures - 1));
+    endpoint.lastError = err?.shortMessage || err?.message || String(err);
+    console.warn(`RPC ${formatRpcHost(endpoint.url)} failed (${endpoint.failures}x), cooling down:`, endpoint.lastError);
+  };
+
+  // Background latency probe; runs at most once per PROBE_INTERVAL_MS, triggered by traffic
+  const probe = async () => {
+    lastProbeAt = Date.now();
+    if (endpoints.length < 2) return;
+    await Promise.all(endpoints.map(async (endpoint) => {
+      const start = Date.now();
+      try {
+        await Promise.race([
+          endpoint.transport.request({ method: 'eth_blockNumber' }),
+          new Promise((_, reject) => setTimeout(() => reject(new Error('Probe timed out')), PROBE_TIMEOUT_MS)),
+        ]);
+        recordSuccess(endpoint, Date.now() - start);
+      } catch (err) {
+        recordFailure(endpoint, err);
+      }
+    }));
+    notify();
+  };
+
+  const request = async ({ method, params }) => {
+    if (Date.now() - lastProbeAt > PROBE_INTERVAL_MS) probe();
+
+    let lastError = null;
+    for (const endpoint of ranked()) {
+      const start = Date.now();
+      try {
+        const result = await endpoint.transport.request({ method, params });
+        recordSuccess(endpoint, Date.now() - start);
+        if (activeUrl !== endpoint.url || lastError) {
+          activeUrl = endpoint.url;
+          notify();
+        }
+        return result;
+      } catch (err) {
+        if (!isEndpointFailure(err)) throw err;
+        recordFailure(endpoint, err);
+        lastError = err;
+      }
+    }
+    notify();
+    throw lastError;
+  };
+
+  status = buildStatus();
+
+  return {
+    transport: custom({ request }, { retryCount: POOL_RETRY_COUNT, retryDelay: POOL_RETRY_DELAY_MS }),
+    getStatus: () => status,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
@@ -0,0 +1,152 @@
+import { isValidAddress, isValidAbi } from "./utils";
+
+// Deployment config read from /config.json at startup, so one build can serve several
+// environments. Everything is optional; anything missing or invalid falls back to the
+// built-in defaults and is reported through getConfigErrors() for the UI.
+//
+// {
+//   "defaultNetwork": "mainnet",
+//   "donationAddress": "0x...",
+//   "networks": {
+//     "<network key>": {
+//       "enabled": true,
+//       "contractAddress": "0x...",
+//       "rpcUrls": ["https://..."],
+//       "deployBlock": "12345",
+//       "donationAddress": "0x...",
+//       "abi": [ ... ]
+//     }
+//   }
+// }
+
+const CONFIG_TIMEOUT_MS = 5000;
+
+let runtimeConfig = { networks: {} };
+const configErrors = [];
+
+export const reportConfigError = (path, message) => {
+  configErrors.push({ path, message });
+  console.error(`Deployment config: ${path}: ${message}`);
+};
+
+export const getRuntimeConfig = () => runtimeConfig;
+
+export const getConfigErrors = () => [...configErrors];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const isHttpsUrl = (url) => {
+  if (typeof url !== 'string') return false;
+  try {
+    return new URL(url).protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+const NETWORK_FIELDS = {
+  enabled: (value) => typeof value === 'boolean' || "must be true or false",
+  contractAddress: (value) => isValidAddress(value) || "must be a 0x address",
+  donationAddress: (value) => isValidAddress(value) || "must be a 0x address",
+  rpcUrls: (value) => (
+    (Array.isArray(value) && value.length > 0 && value.every(isHttpsUrl)) || "must be a non-empty list of https URLs"
+  ),
+  deployBlock: (value) => /^\d+$/.test(String(value)) || "must be a block number",
+  abi: (value) => isValidAbi(value) || "must be a valid contract ABI",
+};
+
+// Keeps the fields that pass their check; each failure is reported and dropped
+const validateNetworkOverrides = (key, raw) => {
+  const path = `networks.${key}`;
+  if (!isPlainObject(raw)) {
+    reportConfigError(path, "must be an object");
+    return null;
+  }
+  const overrides = {};
+  Object.entries(raw).forEach(([field, value]) => {
+    const check = NETWORK_FIELDS[field];
+    if (!check) {
+      reportConfigError(`${path}.${field}`, "is not a supported setting");
+      return;
+    }
+    const result = check(value);
+    if (result !== true) {
+      reportConfigError(`${path}.${field}`, result);
+      return;
+    }
+    overrides[field] = field === 'deployBlock' ? String(value) : value;
+  });
+  return overrides;
+};
+
+export const validateRuntimeConfig = (raw) => {
+  const config = { networks: {} };
+  if (!isPlainObject(raw)) {
+    reportConfigError("config.json", "must contain a JSON object");
+    return config;
+  }
+
+  Object.keys(raw).forEach((field) => {
+    if (!['defaultNetwork', 'donationAddress', 'networks'].includes(field)) {
+      reportConfigError(field, "is not a supported setting");
+    }
+  });
+
+  if (raw.defaultNetwork !== undefined) {
+    if (typeof raw.defaultNetwork === 'string' && raw.defaultNetwork) {
+      config.defaultNetwork = raw.defaultNetwork;
+    } else {
+      reportConfigError("defaultNetwork", "must be a network key");
+    }
+  }
+  if (raw.donationAddress !== undefined) {
+    if (isValidAddress(raw.donationAddress)) {
+      config.donationAddress = raw.donationAddress;
+    } else {
+      reportConfigError("donationAddress", "must be a 0x address");
+    }
+  }
+  if (raw.networks !== undefined) {
+    if (isPlainObject(raw.networks)) {
+      Object.entries(raw.networks).forEach(([key, value]) => {
+        const overrides = validateNetworkOverrides(key, value);
+        if (overrides) config.networks[key] = overrides;
+      });
+    } else {
+      reportConfigError("networks", "must be an object keyed by network");
+    }
+  }
+  return config;
+};
+
+// Fetch and validate config.json. Never rejects: a missing file means "use the defaults",
+// anything else that goes wrong is reported and the defaults are used.
+export const loadRuntimeConfig = async () => {
+  const url = `${process.env.PUBLIC_URL || ''}/config.json`;
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), CONFIG_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { cache: 'no-store', signal: controller.signal });
+    if (response.status === 404) return runtimeConfig;
+    if (!response.ok) {
+      reportConfigError("config.json", `could not be loaded (HTTP ${response.status})`);
+      return runtimeConfig;
+    }
+    const text = await response.text();
+    // SPA hosting rewrites unknown paths to index.html: that just means there is no config
+    if (text.trimStart().startsWith('<')) return runtimeConfig;
+    let raw;
+    try {
+      raw = JSON.parse(text);
+    } catch (parseErr) {
+      reportConfigError("config.json", `is not valid JSON (${parseErr.message})`);
+      return runtimeConfig;
+    }
+    runtimeConfig = validateRuntimeConfig(raw);
+  } catch (err) {
+    reportConfigError("config.json", err?.name === 'AbortError' ? "timed out while loading" : `could not be loaded (${err?.message || err})`);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+  return runtimeConfig;
+};
@@ -0,0 +1,188 @@
+import { encodeFunctionData } from "viem";
+import { isValidAddress, isValidAbi, hasAbiFunction } from "./utils";
+import { isUserRejection, isRevertError } from "./contractErrors";
+import { getFeeStrategy, padGasLimit, resolveFees } from "./feeStrategy";
+
+// One pipeline for every write, whatever the connector:
+//   estimate gas on the network's public client -> pad it and price it with the network's
+//   fee strategy -> ask the wallet to sign and send -> wait for the receipt on the public client.
+// Only the "sign and send" step differs between WalletConnect (viem wallet client)
+// and injected wallets like MetaMask/Rabby (ethers BrowserProvider signer).
+
+const RECEIPT_TIMEOUT_MS = 120000;
+
+export const isTransactionTimeout = (err) => err?.code === 'TX_TIMEOUT';
+
+// Errors raised before anything reaches the wallet carry copy that is safe to show as-is
+// (see classifyTransactionError in contractErrors.js)
+const preconditionError = (message) => {
+  const err = new Error(message);
+  err.userMessage = message;
+  return err;
+};
+
+const sendWithWalletConnect = async ({ walletClient, account, tx }) => (
+  walletClient.sendTransaction({
+    account: walletClient.account?.address ?? account,
+    chain: walletClient.chain,
+    to: tx.to,
+    data: tx.data,
+    value: tx.value,
+    gas: tx.gas,
+    ...tx.fees,
+  })
+);
+
+const sendWithInjected = async ({ provider, tx }) => {
+  const signer = await provider.getSigner();
+  const response = await signer.sendTransaction({
+    to: tx.to,
+    data: tx.data,
+    value: tx.value,
+    gasLimit: tx.gas,
+    ...tx.fees,
+  });
+  if (!response || !response.hash) {
+    throw new Error("Transaction object is invalid - no hash received");
+  }
+  return response.hash;
+};
+
+const getWalletChainId = async ({ walletType, walletClient, provider }) => {
+  if (walletType === 'walletconnect') return walletClient?.chain?.id ?? null;
+  const network = await provider.getNetwork();
+  return Number(network.chainId);
+};
+
+export const createTransactionService = ({ walletType, walletClient, provider, account, getClient }) => {
+  const walletName = walletType === 'walletconnect' ? 'WalletConnect' : walletType === 'rabby' ? 'Rabby' : walletType === 'demo' ? 'Demo wallet' : 'MetaMask';
+
+  const send = async ({
+    config,
+    to,
+    data,
+    value,
+    label,
+    fallbackGas,
+    simulate,
+    onPreflight,
+    onSubmitted,
+  }) => {
+    if (!account || !isValidAddress(account)) {
+      throw preconditionError("Connect wallet first");
+    }
+    if (!config) {
+      throw preconditionError("Unsupported network");
+    }
+    if (walletType === 'walletconnect' ? !walletClient : !provider) {
+      throw preconditionError(walletType === 'walletconnect' ? "WalletConnect client not ready" : "Provider not available");
+    }
+    if (await getWalletChainId({ walletType, walletClient, provider }) !== config.chainId) {
+      throw preconditionError(`Please switch to ${config.label}`);
+    }
+    const client = getClient(config.key);
+    if (!client) {
+      throw preconditionError("Unable to initialize network client");
+    }
+
+    // Dry run against the latest block from the connected address; a revert here stops
+    // the write before the wallet prompt opens
+    let simulation = null;
+    if (simulate) {
+      try {
+        simulation = await simulate(client);
+      } catch (simErr) {
+        console.warn(`🚫 [${walletName} ${label}] Simulation reverted, wallet prompt skipped:`, simErr?.shortMessage || simErr?.message);
+        simErr.simulationFailed = true;
+        throw simErr;
+      }
+    }
+
+    let estimatedGas;
+    try {
+      estimatedGas = await client.estimateGas({ account, to, data, value });
+    } catch (estErr) {
+      if (fallbackGas == null || isRevertError(estErr, config.abi) || isUserRejection(estErr)) {
+        console.error(`❌ [${walletName} ${label}] Gas estimation failed:`, estErr);
+        throw estErr;
+      }
+      console.warn(`⚠️ [${walletName} ${label}] Gas estimation failed, using default gas limit:`, fallbackGas.toString());
+      estimatedGas = fallbackGas;
+    }
+    const strategy = getFeeStrategy(config);
+    const gas = padGasLimit(estimatedGas, strategy);
+    // Same field names in viem and ethers v6: maxFeePerGas/maxPriorityFeePerGas or gasPrice
+    const fees = await resolveFees(client, strategy);
+    const tx = { to, data, value, gas, fees };
+
+    // Last chance for the caller to show the expected outcome (or abort) before signing
+    if (onPreflight) {
+      await onPreflight({ client, simulation, estimatedGas, gas, fees });
+    }
+
+    console.log(`📤 [${walletName} ${label}] Sending transaction with gasLimit:`, gas.toString(),
+      Object.fromEntries(Object.entries(fees).map(([field, wei]) => [field, wei.toString()])));
+    const hash = walletType === 'walletconnect'
+      ? await sendWithWalletConnect({ walletClient, account, tx })
+      : await sendWithInjected({ provider, tx });
+    console.log(`✅ [${walletName} ${label}] Transaction sent, hash:`, hash);
+    if (onSubmitted) onSubmitted(hash);
+
+    let receipt;
+    try {
+      receipt = await client.waitForTransactionReceipt({ hash, timeout: RECEIPT_TIMEOUT_MS });
+    } catch (waitErr) {
+      if (waitErr?.name === 'WaitForTransactionReceiptTimeoutError') {
+        console.warn(`⚠️ [${walletName} ${label}] Transaction not confirmed within ${RECEIPT_TIMEOUT_MS / 1000}s:`, hash);
+        const timeoutErr = new Error('Transaction timeout');
+        timeoutErr.code = 'TX_TIMEOUT';
+        timeoutErr.hash = hash;
+        throw timeoutErr;
+      }
+      throw waitErr;
+    }
+
+    if (receipt.status !== 'success') {
+      console.error(`❌ [${walletName} ${label}] Transaction reverted in block ${receipt.blockNumber}`);
+      const revertErr = new Error(`Transaction failed with status: ${receipt.status}`);
+      revertErr.userMessage = "Transaction failed. Please try again.";
+      revertErr.receipt = receipt;
+      throw revertErr;
+    }
+    console.log(`✅ [${walletName} ${label}] Transaction confirmed in block ${receipt.blockNumber}`);
+    return receipt;
+  };
+
+  // State-changing contract call; resolves with the receipt, throws on rejection, revert or timeout.
+  // With simulate: true the call is run through simulateContract first.
+  const writeContract = async ({ config, functionName, args = [], value, label = functionName, simulate = false, ...options }) => {
+    if (!config || !isValidAddress(config.contractAddress)) {
+      throw preconditionError("Contract address missing for this network");
+    }
+    if (!isValidAbi(config.abi) || !hasAbiFunction(config.abi, functionName)) {
+      throw preconditionError(`Contract on ${config.label} does not support ${functionName}`);
+    }
+    const data = encodeFunctionData({ abi: config.abi, functionName, args });
+    const simulateCall = simulate
+      ? (client) => client.simulateContract({
+        abi: config.abi,
+        address: config.contractAddress,
+        functionName,
+        args,
+        account,
+        ...(value != null ? { value } : {}),
+      })
+      : null;
+    return send({ config, to: config.contractAddress, data, value, label, simulate: simulateCall, ...options });
+  };
+
+  // Plain native-currency transfer (donations)
+  const sendValue = async ({ config, to, value, label = 'Transfer', ...options }) => {
+    if (!isValidAddress(to)) {
+      throw preconditionError("Invalid recipient address");
+    }
+    return send({ config, to, value, label, ...options });
+  };
+
+  return { writeContract, sendValue };
+};
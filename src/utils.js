@@ -0,0 +1,66 @@
+export const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Helper function to validate Ethereum address
+export const isValidAddress = (address) => {
+  if (!address || typeof address !== 'string') return false;
+  return /^0x[a-fA-F0-9]{40}$/.test(address);
+};
+
+// Safe number conversion with overflow protection
+export const safeNumber = (value) => {
+  try {
+    if (typeof value === 'bigint') {
+      // Check for safe integer range
+      // eslint-disable-next-line no-undef
+      if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+        console.warn("Value exceeds safe integer range:", value);
+        return Number.MAX_SAFE_INTEGER;
+      }
+      // eslint-disable-next-line no-undef
+      if (value < BigInt(Number.MIN_SAFE_INTEGER)) {
+        console.warn("Value below safe integer range:", value);
+        return Number.MIN_SAFE_INTEGER;
+      }
+      return Number(value);
+    }
+    const num = Number(value);
+    if (!isFinite(num) || isNaN(num)) {
+      return 0;
+    }
+    return Math.max(Number.MIN_SAFE_INTEGER, Math.min(num, Number.MAX_SAFE_INTEGER));
+  } catch (err) {
+    console.error("Error converting number:", err);
+    return 0;
+  }
+};
+
+// Sanitize string to prevent XSS attacks
+export const sanitizeString = (str) => {
+  if (str == null) return '';
+  const stringValue = String(str);
+  // Remove potentially dangerous characters and HTML tags
+  return stringValue
+    .replace(/[<>]/g, '') // Remove < and >
+    .replace(/javascript:/gi, '') // Remove javascript: protocol
+    .replace(/on\w+=/gi, '') // Remove event handlers
+    .trim()
+    .substring(0, 1000); // Limit length to prevent DoS
+};
+
+// Validate ABI structure to prevent malicious ABI injection
+export const isValidAbi = (abi) => {
+  if (!abi || !Array.isArray(abi)) return false;
+  // Check that ABI is an array of objects with expected structure
+  return abi.every(item => {
+    if (typeof item !== 'object' || item === null) return false;
+    // Basic structure validation
+    return typeof item.type === 'string' &&
+           (item.type === 'function' || item.type === 'event' || item.type === 'constructor' || item.type === 'fallback' || item.type === 'receive');
+  });
+};
+
+// Check whether a contract ABI exposes a function (testnet ABI is a reduced interface)
+export const hasAbiFunction = (abi, name) => {
+  if (!Array.isArray(abi)) return false;
+  return abi.some(item => item.type === 'function' && item.name === name);
+};
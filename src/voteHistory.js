@@ -0,0 +1,555 @@
+// Vote history reconstructed from Voted(address indexed user, bool isHappy) logs.
+// Scans are chunked by block range, shrink the range when an RPC rejects it,
+// and are cached per contract so later views only fetch new blocks.
+
+const DEFAULT_LOG_BLOCK_RANGE = 5000n;
+const MIN_LOG_BLOCK_RANGE = 50n;
+const MAX_EXACT_TIMESTAMPS = 300;
+const TIMESTAMP_CONCURRENCY = 6;
+export const SECONDS_PER_DAY = 86400;
+// When the deploy block can't be found either, open-ended scans only reach this far back
+export const FALLBACK_HISTORY_DAYS = 30;
+
+const historyCache = new Map(); // `${chainId}:${address}` -> { fromBlock, toBlock, votes }
+const removalCache = new Map(); // `${chainId}:${address}` -> { toBlock, removals }
+const streakCache = new Map(); // `${chainId}:${address}:${user}` -> { toBlock, votes }
+const timestampCache = new Map(); // chainId -> Map(blockNumber -> unix seconds)
+const deployBlockCache = new Map(); // `${chainId}:${address}` -> Promise<bigint | null>
+
+const cacheKey = (config) => `${config.chainId}:${config.contractAddress.toLowerCase()}`;
+
+const getVotedEvent = (abi) => (abi || []).find((item) => item.type === 'event' && item.name === 'Voted');
+
+export const hasVotedEvent = (config) => Boolean(getVotedEvent(config?.abi));
+
+const getRemovedEvent = (abi) => (abi || []).find((item) => item.type === 'event' && item.name === 'LeaderboardMemberRemoved');
+
+const isRangeError = (err) => {
+  const text = `${err?.shortMessage || ''} ${err?.details || ''} ${err?.message || ''}`.toLowerCase();
+  return (
+    text.includes('range') ||
+    text.includes('too many') ||
+    text.includes('limit') ||
+    text.includes('exceed') ||
+    text.includes('timeout') ||
+    text.includes('10000')
+  );
+};
+
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) {
+    const abortErr = new Error("History scan cancelled");
+    abortErr.name = 'AbortError';
+    throw abortErr;
+  }
+};
+
+// Fetch one event's logs between two blocks in shrinking chunks, mapping each log with mapLog
+// (logs it maps to null are dropped)
+const scanEventLogs = async ({ client, config, event, args, fromBlock, toBlock, signal, onProgress, mapLog }) => {
+  const items = [];
+  let range = config.logBlockRange ? BigInt(config.logBlockRange) : DEFAULT_LOG_BLOCK_RANGE;
+  let cursor = fromBlock;
+  const total = toBlock - fromBlock + 1n;
+
+  while (cursor <= toBlock) {
+    throwIfAborted(signal);
+    const end = cursor + range - 1n > toBlock ? toBlock : cursor + range - 1n;
+    try {
+      const logs = await client.getLogs({
+        address: config.contractAddress,
+        event,
+        ...(args ? { args } : {}),
+        fromBlock: cursor,
+        toBlock: end,
+      });
+      logs.forEach((log) => {
+        const item = mapLog(log);
+        if (item) items.push(item);
+      });
+      cursor = end + 1n;
+      if (onProgress && total > 0n) {
+        onProgress(Number(((cursor - fromBlock) * 100n) / total));
+      }
+    } catch (err) {
+      if (range > MIN_LOG_BLOCK_RANGE && isRangeError(err)) {
+        range = range / 2n < MIN_LOG_BLOCK_RANGE ? MIN_LOG_BLOCK_RANGE : range / 2n;
+        continue;
+      }
+      throw err;
+    }
+  }
+
+  return items;
+};
+
+// Fetch Voted logs between two blocks, optionally filtered on the indexed user topic
+export const scanVotedLogs = async ({ client, config, fromBlock, toBlock, user, signal, onProgress }) => {
+  const event = getVotedEvent(config.abi);
+  if (!event) return [];
+
+  return scanEventLogs({
+    client,
+    config,
+    event,
+    args: user ? { user } : null,
+    fromBlock,
+    toBlock,
+    signal,
+    onProgress,
+    mapLog: (log) => (log.args?.user
+      ? {
+        user: log.args.user,
+        isHappy: Boolean(log.args.isHappy),
+        blockNumber: log.blockNumber,
+        logIndex: log.logIndex,
+        transactionHash: log.transactionHash,
+      }
+      : null),
+  });
+};
+
+const getBlockTimestamp = async (client, chainId, blockNumber) => {
+  if (!timestampCache.has(chainId)) timestampCache.set(chainId, new Map());
+  const cache = timestampCache.get(chainId);
+  const key = blockNumber.toString();
+  if (cache.has(key)) return cache.get(key);
+  const block = await client.getBlock({ blockNumber });
+  const timestamp = Number(block.timestamp);
+  cache.set(key, timestamp);
+  return timestamp;
+};
+
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+// Resolve timestamps for many blocks: exact when few, otherwise sampled anchors + linear interpolation
+// (accurate enough for day buckets and far cheaper on public RPCs)
+export const resolveBlockTimestamps = async (client, chainId, blockNumbers, signal) => {
+  const unique = Array.from(new Set(blockNumbers.map((b) => b.toString())))
+    .map((b) => BigInt(b))
+    .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const result = new Map();
+  if (unique.length === 0) return result;
+
+  let anchors = unique;
+  if (unique.length > MAX_EXACT_TIMESTAMPS) {
+    const step = (unique.length - 1) / (MAX_EXACT_TIMESTAMPS - 1);
+    anchors = Array.from({ length: MAX_EXACT_TIMESTAMPS }, (_, i) => unique[Math.round(i * step)]);
+  }
+
+  const anchorTimes = await mapWithConcurrency(anchors, TIMESTAMP_CONCURRENCY, (blockNumber) => {
+    throwIfAborted(signal);
+    return getBlockTimestamp(client, chainId, blockNumber);
+  });
+  anchors.forEach((blockNumber, i) => result.set(blockNumber.toString(), anchorTimes[i]));
+
+  if (anchors.length !== unique.length) {
+    let a = 0;
+    unique.forEach((blockNumber) => {
+      const key = blockNumber.toString();
+      if (result.has(key)) return;
+      while (a < anchors.length - 2 && anchors[a + 1] < blockNumber) a++;
+      const b0 = anchors[a];
+      const b1 = anchors[a + 1];
+      const t0 = anchorTimes[a];
+      const t1 = anchorTimes[a + 1];
+      const span = Number(b1 - b0) || 1;
+      result.set(key, Math.round(t0 + ((t1 - t0) * Number(blockNumber - b0)) / span));
+    });
+  }
+
+  return result;
+};
+
+// Binary search for the first block at or after a unix timestamp
+export const findBlockByTimestamp = async (client, chainId, targetTimestamp, latestBlock, signal) => {
+  let low = 0n;
+  let high = latestBlock;
+  while (low < high) {
+    throwIfAborted(signal);
+    const mid = (low + high) / 2n;
+    const midTime = await getBlockTimestamp(client, chainId, mid);
+    if (midTime < targetTimestamp) {
+      low = mid + 1n;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+};
+
+const withTimestamps = async (client, config, votes, signal) => {
+  const times = await resolveBlockTimestamps(
+    client,
+    config.chainId,
+    votes.filter((vote) => vote.timestamp == null).map((vote) => vote.blockNumber),
+    signal
+  );
+  return votes.map((vote) => (
+    vote.timestamp != null ? vote : { ...vote, timestamp: times.get(vote.blockNumber.toString()) ?? null }
+  ));
+};
+
+// First block where the contract has code, by binary search over eth_getCode. Throws when the
+// RPC can't serve state that far back (pruned nodes reject old blocks).
+const findDeployBlock = async (client, config, latestBlock) => {
+  const hasCode = async (blockNumber) => {
+    const code = await client.getCode({ address: config.contractAddress, blockNumber });
+    return Boolean(code && code !== '0x');
+  };
+  if (!(await hasCode(latestBlock))) return null;
+  let low = 0n;
+  let high = latestBlock;
+  while (low < high) {
+    const mid = (low + high) / 2n;
+    if (await hasCode(mid)) {
+      high = mid;
+    } else {
+      low = mid + 1n;
+    }
+  }
+  return low;
+};
+
+// The contract's deploy block: the configured one (env or config.json), else found on chain once
+// per session. Null when it can't be found; the next call tries again.
+export const resolveDeployBlock = async (client, config, latestBlock) => {
+  if (config?.deployBlock != null) return BigInt(config.deployBlock);
+  const key = cacheKey(config);
+  if (!deployBlockCache.has(key)) {
+    deployBlockCache.set(key, findDeployBlock(client, config, latestBlock).catch((err) => {
+      console.warn(`Could not find the deploy block on ${config.key}:`, err?.shortMessage || err?.message);
+      deployBlockCache.delete(key);
+      return null;
+    }));
+  }
+  return deployBlockCache.get(key);
+};
+
+// First block of an open-ended scan: the deploy block, or FALLBACK_HISTORY_DAYS back when it
+// can't be found (scanning from genesis would be thousands of getLogs calls on fast chains).
+// isPartial tells callers the scan doesn't reach the deploy block.
+const defaultStartBlock = async (client, config, latestBlock, signal) => {
+  const deployBlock = await resolveDeployBlock(client, config, latestBlock);
+  throwIfAborted(signal);
+  if (deployBlock != null) return { startBlock: deployBlock, isPartial: false };
+  const sinceTimestamp = Math.floor(Date.now() / 1000) - FALLBACK_HISTORY_DAYS * SECONDS_PER_DAY;
+  const startBlock = await findBlockByTimestamp(client, config.chainId, sinceTimestamp, latestBlock, signal);
+  return { startBlock, isPartial: true };
+};
+
+// Load every vote from fromBlock (default: see defaultStartBlock) to the chain head.
+// Cached scans are extended instead of repeated.
+export const loadVoteHistory = async ({ client, config, fromBlock, signal, onProgress }) => {
+  const latestBlock = await client.getBlockNumber();
+  const { startBlock, isPartial } = fromBlock != null
+    ? { startBlock: fromBlock, isPartial: false }
+    : await defaultStartBlock(client, config, latestBlock, signal);
+  const key = cacheKey(config);
+  const cached = historyCache.get(key);
+
+  let votes;
+  if (cached && cached.fromBlock <= startBlock) {
+    const fresh = cached.toBlock < latestBlock
+      ? await scanVotedLogs({ client, config, fromBlock: cached.toBlock + 1n, toBlock: latestBlock, signal, onProgress })
+      : [];
+    votes = cached.votes.concat(await withTimestamps(client, config, fresh, signal));
+    historyCache.set(key, { fromBlock: cached.fromBlock, toBlock: latestBlock, votes });
+  } else {
+    const older = await scanVotedLogs({
+      client,
+      config,
+      fromBlock: startBlock,
+      toBlock: cached ? cached.fromBlock - 1n : latestBlock,
+      signal,
+      onProgress,
+    });
+    const newer = cached && cached.toBlock < latestBlock
+      ? await scanVotedLogs({ client, config, fromBlock: cached.toBlock + 1n, toBlock: latestBlock, signal })
+      : [];
+    votes = (await withTimestamps(client, config, older, signal))
+      .concat(cached ? cached.votes : [])
+      .concat(await withTimestamps(client, config, newer, signal));
+    historyCache.set(key, { fromBlock: startBlock, toBlock: latestBlock, votes });
+  }
+
+  return { votes: votes.filter((vote) => vote.blockNumber >= startBlock), latestBlock, isPartial };
+};
+
+// Load votes since a unix timestamp (resolves the start block first)
+export const loadVoteHistorySince = async ({ client, config, sinceTimestamp, signal, onProgress }) => {
+  const latestBlock = await client.getBlockNumber();
+  const fromBlock = sinceTimestamp == null
+    ? undefined
+    : await findBlockByTimestamp(client, config.chainId, sinceTimestamp, latestBlock, signal);
+  return loadVoteHistory({ client, config, fromBlock, signal, onProgress });
+};
+
+// Load one address's votes since a unix timestamp, filtered on the indexed user topic.
+// Reuses the shared history cache when it already covers the range; a single address
+// rarely exceeds MAX_EXACT_TIMESTAMPS votes, so its timestamps are normally exact.
+export const loadUserVoteHistory = async ({ client, config, user, sinceTimestamp, signal, onProgress }) => {
+  const latestBlock = await client.getBlockNumber();
+  const { startBlock: fromBlock, isPartial } = sinceTimestamp == null
+    ? await defaultStartBlock(client, config, latestBlock, signal)
+    : { startBlock: await findBlockByTimestamp(client, config.chainId, sinceTimestamp, latestBlock, signal), isPartial: false };
+
+  const cached = historyCache.get(cacheKey(config));
+  let votes;
+  if (cached && cached.fromBlock <= fromBlock) {
+    const { votes: allVotes } = await loadVoteHistory({ client, config, fromBlock, signal, onProgress });
+    votes = allVotes.filter((vote) => vote.user.toLowerCase() === user.toLowerCase());
+  } else {
+    votes = await scanVotedLogs({ client, config, fromBlock, toBlock: latestBlock, user, signal, onProgress });
+  }
+
+  const times = await resolveBlockTimestamps(client, config.chainId, votes.map((vote) => vote.blockNumber), signal);
+  const exactVotes = votes
+    .map((vote) => ({ ...vote, timestamp: times.get(vote.blockNumber.toString()) ?? vote.timestamp ?? null }))
+    .sort((a, b) => (a.blockNumber === b.blockNumber ? a.logIndex - b.logIndex : a.blockNumber < b.blockNumber ? -1 : 1));
+
+  return { votes: exactVotes, latestBlock, isPartial };
+};
+
+// One address's votes back to the first gap longer than STREAK_MAX_GAP, walking backwards from
+// the chain head, so the cost follows the length of the current streak rather than the whole
+// history. Later calls only scan the blocks added since. Timestamps are exact.
+export const loadStreakVotes = async ({ client, config, user, signal }) => {
+  const latestBlock = await client.getBlockNumber();
+  const key = `${cacheKey(config)}:${user.toLowerCase()}`;
+  const cached = streakCache.get(key);
+  const withExactTimes = async (votes) => {
+    const times = await resolveBlockTimestamps(client, config.chainId, votes.map((vote) => vote.blockNumber), signal);
+    return votes.map((vote) => ({ ...vote, timestamp: times.get(vote.blockNumber.toString()) ?? null }));
+  };
+
+  if (cached) {
+    const fresh = cached.toBlock < latestBlock
+      ? await scanVotedLogs({ client, config, fromBlock: cached.toBlock + 1n, toBlock: latestBlock, user, signal })
+      : [];
+    const votes = cached.votes.concat(await withExactTimes(fresh));
+    streakCache.set(key, { toBlock: latestBlock, votes });
+    return { votes, latestBlock };
+  }
+
+  const lowerBound = (await resolveDeployBlock(client, config, latestBlock)) ?? 0n;
+  const range = config.logBlockRange ? BigInt(config.logBlockRange) : DEFAULT_LOG_BLOCK_RANGE;
+  const newestFirst = [];
+  // Time of the oldest point checked so far; a longer gap than STREAK_MAX_GAP below it ends the walk
+  let boundary = await getBlockTimestamp(client, config.chainId, latestBlock);
+  let end = latestBlock;
+
+  walk: while (end >= lowerBound) {
+    throwIfAborted(signal);
+    const start = end - lowerBound + 1n > range ? end - range + 1n : lowerBound;
+    const chunk = await withExactTimes(
+      await scanVotedLogs({ client, config, fromBlock: start, toBlock: end, user, signal })
+    );
+    chunk.sort((a, b) => (a.blockNumber === b.blockNumber ? b.logIndex - a.logIndex : a.blockNumber > b.blockNumber ? -1 : 1));
+    for (const vote of chunk) {
+      if (vote.timestamp == null || boundary - vote.timestamp > STREAK_MAX_GAP) break walk;
+      newestFirst.push(vote);
+      boundary = vote.timestamp;
+    }
+    if (start === lowerBound) break;
+    if (boundary - (await getBlockTimestamp(client, config.chainId, start)) > STREAK_MAX_GAP) break;
+    end = start - 1n;
+  }
+
+  const votes = newestFirst.reverse();
+  streakCache.set(key, { toBlock: latestBlock, votes });
+  return { votes, latestBlock };
+};
+
+// Owner removals from the leaderboard (LeaderboardMemberRemoved), keyed by lowercase address with
+// the block of the latest removal. The account isn't an indexed topic, so the whole range is
+// scanned once and then only extended. Empty when the ABI has no such event.
+export const loadRemovedMembers = async ({ client, config, signal }) => {
+  const event = getRemovedEvent(config.abi);
+  if (!event) return new Map();
+
+  const latestBlock = await client.getBlockNumber();
+  const key = cacheKey(config);
+  const cached = removalCache.get(key);
+  const fromBlock = cached
+    ? cached.toBlock + 1n
+    : (await defaultStartBlock(client, config, latestBlock, signal)).startBlock;
+
+  const removals = new Map(cached ? cached.removals : []);
+  if (fromBlock <= latestBlock) {
+    const logs = await scanEventLogs({
+      client,
+      config,
+      event,
+      fromBlock,
+      toBlock: latestBlock,
+      signal,
+      mapLog: (log) => (log.args?.account ? { address: log.args.account, blockNumber: log.blockNumber } : null),
+    });
+    logs.forEach((removal) => removals.set(removal.address.toLowerCase(), removal));
+  }
+  removalCache.set(key, { toBlock: latestBlock, removals });
+  return removals;
+};
+
+export const toDayKey = (timestamp) => new Date(timestamp * 1000).toISOString().slice(0, 10);
+
+// Group votes into UTC day buckets, filling empty days between start and end
+export const bucketVotesByDay = (votes, startTimestamp, endTimestamp) => {
+  const buckets = new Map();
+  const startDay = Math.floor(startTimestamp / SECONDS_PER_DAY);
+  const endDay = Math.floor(endTimestamp / SECONDS_PER_DAY);
+  for (let day = startDay; day <= endDay; day++) {
+    buckets.set(toDayKey(day * SECONDS_PER_DAY), { day: toDayKey(day * SECONDS_PER_DAY), happy: 0, sad: 0 });
+  }
+  votes.forEach((vote) => {
+    if (vote.timestamp == null) return;
+    const bucket = buckets.get(toDayKey(vote.timestamp));
+    if (!bucket) return;
+    if (vote.isHappy) {
+      bucket.happy += 1;
+    } else {
+      bucket.sad += 1;
+    }
+  });
+  return Array.from(buckets.values());
+};
+
+export const STREAK_MIN_GAP = SECONDS_PER_DAY;
+export const STREAK_MAX_GAP = 2 * SECONDS_PER_DAY;
+
+// Current and longest streaks from one address's votes. Consecutive votes 24-48h apart
+// continue a streak, a longer gap starts a new one, and the current streak drops to 0
+// once more than 48h have passed since the last vote.
+export const computeStreaks = (votes, nowTimestamp = Math.floor(Date.now() / 1000)) => {
+  const times = votes
+    .map((vote) => vote.timestamp)
+    .filter((timestamp) => timestamp != null)
+    .sort((a, b) => a - b);
+
+  let run = 0;
+  let longest = 0;
+  let previous = null;
+  times.forEach((timestamp) => {
+    if (previous == null || timestamp - previous > STREAK_MAX_GAP) {
+      run = 1;
+    } else if (timestamp - previous >= STREAK_MIN_GAP) {
+      run += 1;
+    }
+    longest = Math.max(longest, run);
+    previous = timestamp;
+  });
+
+  const lastVotedAt = previous;
+  const isAlive = lastVotedAt != null && nowTimestamp - lastVotedAt <= STREAK_MAX_GAP;
+  return {
+    current: isAlive ? run : 0,
+    longest,
+    lastVotedAt,
+    breaksAt: isAlive ? lastVotedAt + STREAK_MAX_GAP : null,
+  };
+};
+
+// Group votes by lowercase address
+export const groupVotesByUser = (votes) => {
+  const byUser = new Map();
+  votes.forEach((vote) => {
+    const key = vote.user.toLowerCase();
+    if (!byUser.has(key)) byUser.set(key, { address: vote.user, votes: [] });
+    byUser.get(key).votes.push(vote);
+  });
+  return byUser;
+};
+
+const compareLogPosition = (a, b) => {
+  if (a.blockNumber !== b.blockNumber) return a.blockNumber < b.blockNumber ? -1 : 1;
+  return a.logIndex - b.logIndex;
+};
+
+// Every voter ranked by happy votes, the way the on-chain board orders them: more happy votes
+// first, and on a tie whoever reached the count earlier. Voters without a happy vote come last.
+// happyCounts (lowercase address -> on-chain happyVoteCount) replaces the counts taken from the
+// logs, which fall short when the scan doesn't reach the deploy block.
+export const rankHappyVoters = (votes, happyCounts = null) => Array.from(groupVotesByUser(votes).values())
+  .map(({ address, votes: userVotes }) => {
+    const happy = userVotes.filter((vote) => vote.isHappy);
+    const lastHappy = happy.reduce((latest, vote) => (
+      !latest || compareLogPosition(vote, latest) > 0 ? vote : latest
+    ), null);
+    return { address, happyVotes: happyCounts?.get(address.toLowerCase()) ?? happy.length, lastHappy };
+  })
+  .sort((a, b) => {
+    if (a.happyVotes !== b.happyVotes) return b.happyVotes - a.happyVotes;
+    if (!a.lastHappy && !b.lastHappy) return 0;
+    // A count with no happy vote in the scanned logs was reached before the scan started
+    if (!a.lastHappy) return -1;
+    if (!b.lastHappy) return 1;
+    return compareLogPosition(a.lastHappy, b.lastHappy);
+  })
+  .map(({ address, happyVotes, lastHappy }, index) => ({
+    rank: index + 1,
+    address,
+    happyVotes,
+    lastHappyBlock: lastHappy ? lastHappy.blockNumber : null,
+  }));
+
+// Interpolated timestamps (see resolveBlockTimestamps) can be off by about this much
+const INTERPOLATION_SLACK = 60 * 60;
+
+// Votes with exact block times for every voter's possibly-current streak: walking back from each
+// voter's latest vote while gaps stay within STREAK_MAX_GAP (plus slack for interpolation error).
+// A daily voter's gaps sit right at STREAK_MIN_GAP, where interpolated times would cut runs short.
+export const withExactCurrentRuns = async ({ client, config, votes, nowTimestamp = Math.floor(Date.now() / 1000), signal }) => {
+  const blocks = [];
+  groupVotesByUser(votes).forEach(({ votes: userVotes }) => {
+    const timed = userVotes
+      .filter((vote) => vote.timestamp != null)
+      .sort((a, b) => compareLogPosition(b, a));
+    let later = nowTimestamp;
+    for (const vote of timed) {
+      if (later - vote.timestamp > STREAK_MAX_GAP + INTERPOLATION_SLACK) break;
+      blocks.push(vote.blockNumber);
+      later = vote.timestamp;
+    }
+  });
+
+  const unique = Array.from(new Set(blocks.map((blockNumber) => blockNumber.toString()))).map((b) => BigInt(b));
+  const times = await mapWithConcurrency(unique, TIMESTAMP_CONCURRENCY, (blockNumber) => {
+    throwIfAborted(signal);
+    return getBlockTimestamp(client, config.chainId, blockNumber);
+  });
+  const exact = new Map(unique.map((blockNumber, i) => [blockNumber.toString(), times[i]]));
+  return votes.map((vote) => (
+    exact.has(vote.blockNumber.toString()) ? { ...vote, timestamp: exact.get(vote.blockNumber.toString()) } : vote
+  ));
+};
+
+// Voters ranked on another measure of their Voted history: 'total' (happy + sad), 'sad', or
+// 'streak' (current streak, longest streak breaking ties; pass votes through
+// withExactCurrentRuns first). Voters scoring 0 are left out.
+export const rankVotersBy = (votes, metric, nowTimestamp = Math.floor(Date.now() / 1000)) => Array
+  .from(groupVotesByUser(votes).values())
+  .map(({ address, votes: userVotes }) => {
+    if (metric === 'streak') {
+      const { current, longest } = computeStreaks(userVotes, nowTimestamp);
+      return { address, score: current, tiebreak: longest };
+    }
+    const sad = userVotes.filter((vote) => !vote.isHappy).length;
+    return metric === 'sad'
+      ? { address, score: sad, tiebreak: userVotes.length }
+      : { address, score: userVotes.length, tiebreak: userVotes.length - sad };
+  })
+  .filter((row) => row.score > 0)
+  .sort((a, b) => b.score - a.score || b.tiebreak - a.tiebreak)
+  .map(({ address, score }, index) => ({ rank: index + 1, address, score }));